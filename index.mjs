@@ -3,6 +3,14 @@ import mixin from 'create-mixin/index.mjs'
 import CompositeClass from 'composite-class/index.mjs'
 import StateMachine from 'fsm-base'
 import TestContext from './lib/test-context.mjs'
+import TreeRunner from './lib/tree-runner.mjs'
+import { serialiseError, deserialiseError, toJSONValue } from './lib/serialise.mjs'
+import Summary from './lib/summary.mjs'
+import { createRandom, createSeed, shuffleArray } from './lib/random.mjs'
+import { callerUrl, startWorker, runInWorker, applyMessage } from './lib/isolate.mjs'
+import normaliseError from './lib/normalise-error.mjs'
+import createAbortController from './lib/abort-controller.mjs'
+import { createRecord, eventStream } from './lib/event-stream.mjs'
 import { isPromise, isPlainObject, isString, isFunction } from 'typical'
 
 /**
@@ -13,14 +21,28 @@ import { isPromise, isPlainObject, isString, isFunction } from 'typical'
  * @param {string} [name] - The test name.
  * @param {function} [testFn] - A function which will either succeed, reject or throw.
  * @param {object} [options] - Test config.
- * @param {number} [options.timeout] - A time limit for the test in ms.
+ * @param {number} [options.timeout] - A time limit for the test in ms. Defaults to `10000`.
  * @param {number} [options.maxConcurrency] - The max concurrency that child tests will be able to run. For example, specifying `2` will allow child tests to run two at a time. Defaults to `10`.
- * @param {boolean} [options.skip] - Skip this test.
- * @param {boolean} [options.only] - Only run this test.
+ * @param {boolean} [options.serial] - Run the tests beneath this group one at a time.
+ * @param {string[]} [options.resources] - Names of resources the test needs exclusive use of, e.g. `['db']`. Tests sharing a resource never run at the same time. Tests inherit the resources of their parent groups.
+ * @param {Array.<string|module:test-object-model>} [options.dependsOn] - Sibling tests, by name or instance, which must run and pass before this test. If a dependency does not pass, this test is skipped. Dependencies must not be circular or run in a later set (e.g. a `before` test cannot depend on a regular test).
+ * @param {number} [options.globalConcurrency] - The max number of tests running at once across the whole tree, regardless of the `maxConcurrency` of each group. Set on the root.
+ * @param {boolean|string|function} [options.skip] - Skip this test. Set a string to give the reason. Set a predicate to decide at run time: it is invoked with the test, return a truthy value to skip (a string is used as the reason), e.g. `() => process.platform === 'win32'`.
+ * @param {boolean} [options.only] - Only run this test, plus any tests beneath it. Parents of an `only` test still run.
+ * @param {string} [options.onlyScope] - The tests disabled by an `only` test. Either `global` (the default), every other test in the tree, or `file`, other tests in the same file. A file is a tree passed to `Tom.combine()` or, if the tree was combined using a different copy of this package, the top-most node of the file.
  * @param {boolean} [options.before] - Run this test before its siblings.
  * @param {boolean} [options.after] - Run this test after its siblings.
  * @param {boolean} [options.todo] - Mark this test as incomplete.
+ * @param {boolean} [options.failing] - Mark this test as expected to fail, e.g. a test for a known bug. The test ends in the `failing` state if it fails, or fails if it passes.
  * @param {boolean} [options.group] - Mark this test as a group.
+ *
+ * The `timeout`, `maxConcurrency`, `skip`, `todo`, `slow`, `retries`, `retryDelay`, `requireAssertions`, `onlyScope` and `serial` options are inherited: if unset on a test, the value set on the nearest parent group is used. See `effectiveOptions`.
+ * @param {number} [options.slow] - A duration in ms above which the test is flagged as slow, without failing.
+ * @param {boolean} [options.requireAssertions] - Fail the test if it makes no assertions using the test context.
+ * @param {string[]} [options.tags] - Labels used to select tests, e.g. `['slow', 'integration']`. Tests inherit the tags of their parent groups.
+ * @param {number} [options.retries] - The number of times to retry a failing test.
+ * @param {number} [options.retryDelay] - The delay in ms before the first retry, doubling for each subsequent retry.
+ * @param {boolean|string} [options.isolate] - Run this test, or this group and every test beneath it, in a worker thread (Node.js only). The worker loads the module which defined the test, which must export the test tree as its default export. Set a module URL to load a different module. Parent group `beforeAll` and `afterAll` hooks do not run in the worker.
  * @alias module:test-object-model
  */
 class Tom extends mixin(CompositeClass)(StateMachine) {
@@ -48,7 +70,7 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
     }
 
     /**
-     * Test state. Can be one of `pending`, `in-progress`, `skipped`, `ignored`, `todo`, `pass` or `fail`.
+     * Test state. Can be one of `pending`, `in-progress`, `skipped`, `ignored`, `todo`, `pass`, `fail`, `failing` or `cancelled`.
      * @member {string} module:test-object-model#state
      */
     super('pending', [
@@ -56,8 +78,12 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
       { from: 'pending', to: 'skipped' },
       { from: 'pending', to: 'ignored' },
       { from: 'pending', to: 'todo' },
+      { from: 'pending', to: 'cancelled' },
       { from: 'in-progress', to: 'pass' },
-      { from: 'in-progress', to: 'fail' }
+      { from: 'in-progress', to: 'fail' },
+      { from: 'in-progress', to: 'failing' },
+      { from: 'in-progress', to: 'cancelled' },
+      { from: 'in-progress', to: 'skipped' }
     ])
 
     /**
@@ -85,14 +111,18 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
     this.ended = false
 
     /**
-     * If the test passed, the value returned by the test function. If it failed, the exception thrown or rejection reason.
+     * If the test passed, the value returned by the test function. If it failed, the exception thrown or rejection reason, normalised to an error: see `normaliseError()`.
      * @type {*}
      */
     this.result = undefined
 
+    /**
+     * If the test was skipped, the reason given by the `skip` option or `this.skip()`.
+     * @type {string}
+     */
+    this.skipReason = undefined
+
     options = Object.assign({}, options)
-    options.maxConcurrency = options.maxConcurrency || 10
-    options.timeout = options.timeout || 10000
 
     /**
      * True if one or more different tests are marked as `only`.
@@ -101,7 +131,22 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
     this.disabledByOnly = false
 
     /**
-     * The options set when creating the test.
+     * True if this test does not match the criteria passed to `filter()`.
+     * @type {boolean}
+     */
+    this.disabledByFilter = false
+
+    /* defaults filled in for existing readers of `options`, not set by the user so not inherited */
+    this._defaultedOptions = {}
+    for (const [name, value] of Object.entries(defaultOptions)) {
+      if (options[name] === undefined) {
+        options[name] = value
+        this._defaultedOptions[name] = value
+      }
+    }
+
+    /**
+     * The options set when creating the test, with the default `timeout` and `maxConcurrency` filled in if unset. See `effectiveOptions` for the values in use, including those inherited from parent groups.
      */
     this.options = options
 
@@ -136,6 +181,114 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
      * @type {TextContext}
      */
     this.context = undefined
+
+    /**
+     * Lifecycle hook functions registered on this node.
+     * @type {object}
+     */
+    this.hooks = {
+      beforeAll: [],
+      afterAll: [],
+      beforeEach: [],
+      afterEach: []
+    }
+
+    /**
+     * Fixtures returned by this node's `beforeAll` hooks, available to every test beneath it.
+     * @type {object}
+     */
+    this.fixtures = {}
+
+    /**
+     * If one of this node's `beforeAll` or `afterAll` hooks failed, the exception thrown.
+     * @type {Error}
+     */
+    this.hookError = undefined
+
+    /**
+     * One entry per attempt at running the test function, each with the shape `{ error, duration }`. There is more than one attempt if the test failed and `options.retries` is set.
+     * @type {object[]}
+     */
+    this.attempts = []
+
+    /**
+     * True if the test passed after one or more failed attempts.
+     * @type {boolean}
+     */
+    this.flaky = false
+
+    /**
+     * The seed used by the last call to `shuffle()`.
+     * @type {number}
+     */
+    this.seed = undefined
+
+    /**
+     * True if the test duration exceeded the `slow` threshold.
+     * @type {boolean}
+     */
+    this.slow = false
+
+    /**
+     * A `SnapshotStore` used by `this.snapshot()` within the test functions of this node and every node beneath it.
+     * @type {SnapshotStore}
+     */
+    this.snapshotStore = undefined
+
+    /**
+     * If the test was created by `each()`, the table row supplied to the test function.
+     * @type {*}
+     */
+    this.row = undefined
+
+    /**
+     * Live statistics for the tests beneath this node: counts per state, total and slowest duration and wall-clock span.
+     * @type {Summary}
+     */
+    this.summary = new Summary()
+    const tom = this
+    this.on('state', function (state, prevState) {
+      /* `this` is the node which changed state, events bubble up from descendants */
+      if (this !== tom) {
+        tom.summary.update(this, state, prevState)
+      }
+    })
+
+    /**
+     * True if this node was rebuilt by `Tom.fromJSON()`. Read-only nodes cannot be run, reset or have tests added.
+     * @type {boolean}
+     */
+    this.readOnly = false
+
+    /* set by abort() */
+    this._cancelled = false
+    this._abortController = undefined
+
+    /* children added from within the test function, removed before each attempt */
+    this._dynamicChildren = []
+
+    /* the module to load in a worker thread, if isolated */
+    this._moduleUrl = options.isolate
+      ? isString(options.isolate) ? options.isolate : callerUrl(new Error().stack, import.meta.url)
+      : undefined
+    this._worker = undefined
+    this._inWorker = false
+
+    /* true if created by combine() */
+    this._combined = false
+
+    /* the skip reason set by the runner if a dependency did not pass */
+    this._dependencySkip = undefined
+
+    /* set by shuffle() */
+    this._definitionOrder = undefined
+
+    /* the events emitted by this node, replayed by events() */
+    this._eventRecords = []
+    this._eventSubscribers = new Set()
+
+    /* the number of runAll() or rerun() calls in progress */
+    this._activeRuns = 0
   }
 
   /**
@@ -143,14 +296,17 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
    * @returns {string}
    */
   get type () {
-    if (this.options.group) {
+    if (this._type) {
+      return this._type
+    } else if (this.options.group) {
       return 'group'
-    } else if (this.options.todo) {
+    } else if (this.effectiveOptions.todo) {
       return 'todo'
     } else {
-      if (this.testFn && !this.children.length) {
+      /* a test may have children registered while it ran */
+      if (this.testFn) {
         return 'test'
-      } else if (!this.testFn && this.children.length) {
+      } else if (this.children.length) {
         return 'group'
       } else {
         return 'todo'
@@ -159,11 +315,76 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
   }
 
   /**
-   * Returns `true` if this test was marked to be skipped by usage of `skip` or `only`.
+   * Returns `true` if this test was marked to be skipped by usage of `skip`, `only` or `filter`. A `skip` predicate is invoked.
    * @returns {booolean}
    */
   get toSkip () {
-    return this.disabledByOnly || this.options.skip
+    return this.disabledByOnly || this.disabledByFilter || !!this._evaluateSkip()
+  }
+
+  /**
+   * Returns the value of the `skip` option, invoking it if a predicate.
+   * @returns {boolean|string}
+   * @ignore
+   */
+  _evaluateSkip () {
+    const skip = this.effectiveOptions.skip
+    return isFunction(skip) ? skip.call(this, this) : skip
+  }
+
+  /**
+   * The options in use by this test: those set on the test plus inheritable options set on the nearest parent group, falling back to the defaults.
+   * @returns {object}
+   */
+  get effectiveOptions () {
+    const inherited = {}
+    for (const name of inheritableOptions) {
+      const value = this._inheritedOption(name)
+      if (value !== undefined) {
+        inherited[name] = value
+      }
+    }
+    return Object.assign({}, defaultOptions, this.options, inherited)
+  }
+
+  /**
+   * The names of this test and its parents, outer-most first. The root of the tree is excluded unless this test is the root.
+   * @returns {string[]}
+   */
+  get path () {
+    const path = [this, ...this.parents()].reverse().map(t => t.name)
+    return path.length > 1 ? path.slice(1) : path
+  }
+
+  /**
+   * The tags set on this test plus those inherited from parent groups.
+   * @returns {string[]}
+   */
+  get tags () {
+    const tags = [this, ...this.parents()]
+      .reverse()
+      .map(t => (t.options && t.options.tags) || [])
+      .flat()
+    return Array.from(new Set(tags))
+  }
+
+  /**
+   * The resources set on this test plus those inherited from parent groups.
+   * @returns {string[]}
+   */
+  get resources () {
+    const resources = [this, ...this.parents()]
+      .map(t => (t.options && t.options.resources) || [])
+      .flat()
+    return Array.from(new Set(resources))
+  }
+
+  /**
+   * The `path` joined with `' > '`, e.g. `Parser > numbers > negative`.
+   * @returns {string}
+   */
+  get fullName () {
+    return this.path.join(' > ')
   }
 
   /**
@@ -174,6 +395,57 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
     return this.name
   }
 
+  /**
+   * Returns a JSON-safe representation of this test and every test beneath it, suitable for sending across a process or thread boundary. Exceptions are serialised to `{ name, message, stack, cause, errors, props }`. Rebuild the tree using `Tom.fromJSON()`.
+   * @returns {object}
+   */
+  toJSON () {
+    const options = {}
+    for (const [key, value] of Object.entries(this.options)) {
+      if (key === 'dependsOn') {
+        options[key] = value.map(dep => isString(dep) ? dep : dep.name)
+      } else if (!isFunction(value)) {
+        options[key] = toJSONValue(value)
+      }
+    }
+    const failed = ['fail', 'failing', 'cancelled'].includes(this.state)
+    return {
+      name: this.name,
+      index: this.index,
+      seed: this.seed,
+      type: this.type,
+      tags: this.tags,
+      state: this.state,
+      ended: this.ended,
+      disabledByOnly: this.disabledByOnly,
+      disabledByFilter: this.disabledByFilter,
+      flaky: this.flaky,
+      slow: this.slow,
+      row: toJSONValue(this.row),
+      options,
+      stats: {
+        start: this.stats.start,
+        end: this.stats.end,
+        duration: this.stats.duration
+      },
+      result: failed ? undefined : toJSONValue(this.result),
+      skipReason: this.skipReason,
+      error: failed ? serialiseError(this.result) : undefined,
+      hookError: this.hookError ? serialiseError(this.hookError) : undefined,
+      attempts: this.attempts.map(attempt => ({
+        duration: attempt.duration,
+        error: attempt.error ? serialiseError(attempt.error) : undefined
+      })),
+      children: this.children.map(child => child.toJSON())
+    }
+  }
+
+  _assertWritable () {
+    if (this.readOnly) {
+      throw new Error('Read-only test: ' + this.name)
+    }
+  }
+
   /**
    * Add a test group.
    * @param {string} - Test name.
@@ -193,6 +465,7 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
    * @return {module:test-object-model}
    */
   test (name, testFn, options = {}) {
+    this._assertWritable()
     /* validate name */
     for (const child of this) {
       if (child.name === name) {
@@ -201,11 +474,50 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
     }
     const test = new this.constructor(name, testFn, options)
     this.add(test)
+    try {
+      test._checkDependencies()
+    } catch (err) {
+      this.remove(test)
+      test.parent = undefined
+      throw err
+    }
     test.index = this.children.length
     test._disableNonOnlyTests()
     return test
   }
 
+  /**
+   * Add one test per row of a table. Returns a function accepting the same arguments as `test()`, with the name used as a template.
+   *
+   * If a row is an array, its values are passed as arguments to the test function and can be inserted in the name with `%s`, `%d`, `%i` or `%j`, in order. If a row is an object, it is passed as the only argument and its properties can be inserted with `$field`. Any other row is treated as a single-value array. In both cases `%#` or `$#` inserts the row index (from zero). The row is also available as `this.row` within the test function and on the test node.
+   * @param {Array} table - The test data.
+   * @return {function}
+   * @example
+   * tom.each([[1, 1, 2], [2, 2, 4]])('%s + %s = %s', function (a, b, expected) {
+   *   assert.equal(a + b, expected)
+   * })
+   *
+   * tom.each([{ input: 'a', expected: 'A' }])('upper case $input', function ({ input, expected }) {
+   *   assert.equal(input.toUpperCase(), expected)
+   * })
+   */
+  each (table) {
+    return (name, testFn, options = {}) => {
+      const names = table.map((row, index) => formatName(name, row, index))
+      /* validate every name before adding any test */
+      const existing = Array.from(this).map(t => t.name)
+      const duplicate = names.find((n, i) => existing.includes(n) || names.indexOf(n) !== i)
+      if (duplicate !== undefined) {
+        throw new Error('Duplicate name: ' + duplicate)
+      }
+      return table.map((row, index) => {
+        const test = this.test(names[index], testFn, Object.assign({}, options))
+        test.row = row
+        return test
+      })
+    }
+  }
+
   /**
    * Add a skipped test
    * @return {module:test-object-model}
@@ -242,6 +554,15 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
     return this.test(name, testFn, options)
   }
 
+  /**
+   * Add a test which is expected to fail, e.g. a test for a known bug. If the test function throws or rejects, the test ends in the `failing` state. If it completes, the test fails: the bug may be fixed.
+   * @return {module:test-object-model}
+   */
+  failing (name, testFn, options = {}) {
+    options.failing = true
+    return this.test(name, testFn, options)
+  }
+
   /**
    * Add a test which must run and complete after the others.
    * @return {module:test-object-model}
@@ -251,44 +572,353 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
     return this.test(name, testFn, options)
   }
 
-  _onlyExists () {
-    return Array.from(this.root()).some(t => t.options.only)
+  /**
+   * Register a function to run once before the tests in this group. If it returns (or resolves to) an object, its properties are added to `this.fixtures` in the context of every test in the group.
+   * @param {function} hookFn - Invoked with the fixtures inherited from parent groups.
+   */
+  beforeAll (hookFn) {
+    this.hooks.beforeAll.push(hookFn)
+  }
+
+  /**
+   * Register a function to run once after the tests in this group.
+   * @param {function} hookFn - Invoked with the group fixtures.
+   */
+  afterAll (hookFn) {
+    this.hooks.afterAll.push(hookFn)
+  }
+
+  /**
+   * Register a function to run before each test in this group, including tests in nested groups. If it returns (or resolves to) an object, its properties are added to `this.fixtures` in the test context.
+   * @param {function} hookFn - Invoked with `this` set to the test context and the test fixtures as the argument.
+   */
+  beforeEach (hookFn) {
+    this.hooks.beforeEach.push(hookFn)
+  }
+
+  /**
+   * Register a function to run after each test in this group, including tests in nested groups. Runs whether the test passed or failed.
+   * @param {function} hookFn - Invoked with `this` set to the test context and the test fixtures as the argument.
+   */
+  afterEach (hookFn) {
+    this.hooks.afterEach.push(hookFn)
+  }
+
+  /**
+   * Randomise the order of the tests beneath this node. Within each group, tests flagged `before` or `after` keep their positions, the others are shuffled and every `index` is updated to the new position. The same seed always produces the same order for the same tree, regardless of previous shuffles.
+   * @param {number} [seed] - A 32-bit integer. If omitted, a random seed is used.
+   * @returns {number} - The seed used, also stored as `seed`.
+   */
+  shuffle (seed) {
+    this._assertWritable()
+    this.seed = seed === undefined ? createSeed() : seed
+    this._shuffle(createRandom(this.seed))
+    return this.seed
+  }
+
+  /**
+   * Shuffle this node's children then, in definition order, their descendants.
+   * @param {function} random
+   * @ignore
+   */
+  _shuffle (random) {
+    /* always shuffle from the definition order, so the same seed gives the same result */
+    const original = (this._definitionOrder || []).filter(t => this.children.includes(t))
+    this._definitionOrder = original.concat(this.children.filter(t => !original.includes(t)))
+    const children = this._definitionOrder.slice()
+    const positions = []
+    children.forEach((t, i) => {
+      if (!(t.options.before || t.options.after)) positions.push(i)
+    })
+    const shuffled = shuffleArray(positions.map(i => children[i]), random)
+    positions.forEach((position, i) => {
+      children[position] = shuffled[i]
+    })
+    this.children.splice(0, this.children.length, ...children)
+    children.forEach((t, i) => {
+      t.index = i + 1
+    })
+    for (const child of this._definitionOrder) {
+      child._shuffle(random)
+    }
+  }
+
+  /**
+   * The sibling tests this test depends on, set by the `dependsOn` option. Names not matching a sibling are excluded.
+   * @returns {Array.<module:test-object-model>}
+   */
+  get dependencies () {
+    const siblings = this.parent ? this.parent.children : []
+    return (this.options.dependsOn || [])
+      .map(dep => isString(dep) ? siblings.find(t => t.name === dep) : dep)
+      .filter(dep => dep)
+  }
+
+  /**
+   * The sibling tests which depend on this test.
+   * @returns {Array.<module:test-object-model>}
+   */
+  get dependents () {
+    const siblings = this.parent ? this.parent.children : []
+    return siblings.filter(t => t.dependencies.includes(this))
+  }
+
+  /**
+   * Returns the dependencies of every test beneath this node which has any.
+   * @returns {Map} - A map of each dependent test to an array of its dependencies.
+   */
+  dependencyGraph () {
+    return new Map(Array.from(this)
+      .filter(t => t.dependencies.length)
+      .map(t => [t, t.dependencies]))
+  }
+
+  /**
+   * Throws if a dependency of this test, or a test depending on this test, is invalid or circular.
+   * @ignore
+   */
+  _checkDependencies () {
+    const set = t => t.options.before ? 0 : t.options.after ? 2 : 1
+    for (const dep of this.dependencies) {
+      if (dep.parent !== this.parent) {
+        throw new Error(`Dependency must be a sibling: ${this.name} depends on ${dep.name}`)
+      }
+    }
+    for (const [test, dep] of [
+      ...this.dependencies.map(dep => [this, dep]),
+      ...this.dependents.map(test => [test, this])
+    ]) {
+      if (set(dep) > set(test)) {
+        throw new Error(`Dependency runs too late: ${test.name} depends on ${dep.name}`)
+      }
+    }
+    const visit = (test, path) => {
+      if (path.includes(test)) {
+        const cycle = [...path.slice(path.indexOf(test)), test]
+        throw new Error('Circular dependency: ' + cycle.map(t => t.name).join(' > '))
+      }
+      for (const dep of test.dependencies) {
+        visit(dep, [...path, test])
+      }
+    }
+    visit(this, [])
+  }
+
+  /**
+   * Returns the slowest tests and groups beneath this node, slowest first. Tests are ranked by `stats.duration`, groups by the wall-clock `summary.span` of the tests within.
+   * @param {number} [count] - The number of tests and groups to return. Defaults to `10`.
+   * @returns {object} - `{ tests, groups }`, each an array of nodes.
+   */
+  slowest (count = 10) {
+    const nodes = Array.from(this).slice(1)
+    const tests = nodes
+      .filter(t => t.stats.end)
+      .sort((a, b) => b.stats.duration - a.stats.duration)
+      .slice(0, count)
+    const groups = nodes
+      .filter(t => t.children.length && t.summary.end)
+      .sort((a, b) => b.summary.span - a.summary.span)
+      .slice(0, count)
+    return { tests, groups }
+  }
+
+  /**
+   * Select which tests beneath this node will run. Tests not matching every supplied criteria are marked `disabledByFilter` and will be skipped. Parents of a matching test remain enabled. Calling `filter()` again replaces the previous criteria, calling it with no criteria enables every test.
+   * @param {object} [criteria]
+   * @param {string|RegExp} [criteria.grep] - Only run tests whose `fullName` contains this string or matches this regular expression.
+   * @param {string|RegExp} [criteria.exclude] - Do not run tests whose `fullName` contains this string or matches this regular expression.
+   * @param {string[]} [criteria.tags] - Only run tests with one or more of these tags, set on the test or a parent group.
+   * @param {string[]} [criteria.excludeTags] - Do not run tests with any of these tags, set on the test or a parent group.
+   * @param {string|string[]} [criteria.path] - Only run the tests at or beneath this path, e.g. `Parser > numbers`. Matches groups whose `path` ends with the supplied names.
+   * @returns {Array.<module:test-object-model>} The tests enabled by the filter.
+   */
+  filter (criteria = {}) {
+    const { grep, exclude, tags, excludeTags } = criteria
+    const path = isString(criteria.path) ? criteria.path.split(' > ') : criteria.path
+
+    const matches = test => {
+      const fullName = test.fullName
+      if (grep && !textMatches(fullName, grep)) return false
+      if (exclude && textMatches(fullName, exclude)) return false
+      if (tags && !test.tags.some(tag => tags.includes(tag))) return false
+      if (excludeTags && test.tags.some(tag => excludeTags.includes(tag))) return false
+      if (path && ![test, ...test.parents()].some(t => endsWith(t.path, path))) return false
+      return true
+    }
+
+    const setEnabled = test => {
+      let enabled = matches(test)
+      for (const child of test.children) {
+        /* visit every child, a parent is enabled if any descendant is */
+        enabled = setEnabled(child) || enabled
+      }
+      test.disabledByFilter = !enabled
+      return enabled
+    }
+
+    setEnabled(this)
+    return Array.from(this).filter(t => t.testFn && !t.disabledByFilter)
+  }
+
+  /**
+   * Returns the tree affected by the `only` flags of this node: the whole tree or, if the `onlyScope` option is `file`, the tree this node was defined in.
+   * @returns {module:test-object-model}
+   * @ignore
+   */
+  _onlyScope () {
+    if (this._inheritedOption('onlyScope') === 'file') {
+      return this._fileRoot()
+    } else {
+      return this.root()
+    }
+  }
+
+  /**
+   * Returns the top-most node of the tree this node was defined in, which does not change if the tree is combined with others.
+   * @returns {module:test-object-model}
+   * @ignore
+   */
+  _fileRoot () {
+    let root = this
+    /* a file's tree may be combined beneath a root created by `Tom.combine()` or by a runner using a different copy of this package */
+    while (root.parent && root.parent.hooks && !root.parent._combined) {
+      root = root.parent
+    }
+    return root
+  }
+
+  /**
+   * The names of this test and its parents up to the top of its file, joined with `' > '`. Snapshot keys start with this name.
+   * @returns {string}
+   * @ignore
+   */
+  _snapshotName () {
+    const fileRoot = this._fileRoot()
+    const lineage = [this]
+    while (lineage[0] !== fileRoot) {
+      lineage.unshift(lineage[0].parent)
+    }
+    return lineage.map(t => t.name).join(' > ')
   }
 
+  /**
+   * Disable every test which is in scope of an `only` test but is neither that test, beneath it nor one of its parents.
+   * @ignore
+   */
   _disableNonOnlyTests () {
-    if (this._onlyExists()) {
-      for (const test of this.root()) {
-        test.disabledByOnly = !test.options.only
+    const root = this.root()
+    const onlyTests = Array.from(root).filter(t => t.options && t.options.only)
+    /* a node from a different copy of this package has global scope */
+    const scopes = onlyTests.map(t => t._onlyScope ? t._onlyScope() : root)
+    for (const test of root) {
+      const lineage = [test, ...test.parents()]
+      const inScope = onlyTests.filter((only, i) => lineage.includes(scopes[i]))
+      test.disabledByOnly = inScope.length > 0 && !inScope.some(only => lineage.includes(only) || only.parents().includes(test))
+    }
+  }
+
+  emit (eventName, ...args) {
+    /* the constructor of the base class may emit before fields are set */
+    if (this._eventRecords && eventName !== 'state') {
+      const record = createRecord(this, eventName, args)
+      this._eventRecords.push(record)
+      /* a completed run also ends the streams of the nodes beneath it */
+      const nodes = eventName === 'complete' ? [...this.parents(), ...Array.from(this)] : [this, ...this.parents()]
+      for (const node of nodes) {
+        if (node._eventSubscribers) {
+          for (const subscriber of node._eventSubscribers) subscriber(record)
+        }
       }
     }
+    return super.emit(eventName, ...args)
+  }
+
+  /**
+   * Returns an async iterable of the events emitted by this node and every node beneath it, for example to write a reporter as a `for await` loop. Events emitted before the call are replayed first, so a late subscriber sees the full run. Iteration ends after the `complete` event emitted when a `runAll()` or `rerun()` of this node or a parent finishes or, if the tree was run some other way (e.g. by a runner calling `run()` on each node), once every node beneath has finished.
+   *
+   * Each event is an object with the properties `type` (the event name, e.g. `pass`), `test` (the emitting node), `path` (its `path`), `data` (the remaining event arguments, e.g. `[result]` for `pass`) and `timestamp`. State changes are included as their state-named event, not the `state` event.
+   * @returns {AsyncIterable.<object>}
+   * @example
+   * const run = tom.runAll()
+   * for await (const event of tom.events()) {
+   *   if (event.type === 'fail') console.log(event.path.join(' > '), event.data[0])
+   * }
+   */
+  events () {
+    return eventStream(this)
   }
 
   setState (state, target, data) {
-    if (state === 'pass' || state === 'fail') {
+    const ending = ['pass', 'fail', 'failing', 'cancelled'].includes(state)
+    if (ending) {
       this.ended = true
     }
     super.setState(state, target, data)
-    if (state === 'pass' || state === 'fail') {
+    if (ending) {
       this.emit('end')
     }
   }
 
+  /**
+   * Cancel this test and every test beneath it. The context `signal` of each in-progress test is aborted and pending tests will not run. Both move to the `cancelled` state.
+   */
+  abort () {
+    for (const test of Array.from(this)) {
+      if (test._worker) {
+        test._cancelled = true
+        test._worker.terminate()
+      }
+      if (test.state === 'in-progress') {
+        test._cancelled = true
+        /* tests running in a worker have no controller in this thread */
+        if (test._abortController) test._abortController.abort()
+      } else if (test.state === 'pending') {
+        test._cancelled = true
+        test.result = cancelError()
+        /**
+         * Test cancelled by a call to `abort()`.
+         * @event module:test-object-model#cancelled
+         * @param test {TestObjectModel} - The test node.
+         * @param err {Error} - An `AbortError`.
+         */
+        test.setState('cancelled', test, test.result)
+      }
+    }
+  }
+
   /**
    * Execute the stored test function.
    * @returns {Promise}
    * @fulfil {*}
    */
   async run () {
+    this._assertWritable()
+    if (this.state === 'cancelled') return
+    if (this._moduleUrl && !this._inWorker) {
+      return this._runIsolated()
+    }
     const performance = await this._getPerformance()
     if (this.testFn) {
-      if (this.toSkip) {
+      let skip
+      try {
+        skip = this.disabledByOnly || this.disabledByFilter || this._dependencySkip || this._evaluateSkip()
+      } catch (err) {
+        /* a skip predicate threw */
+        this.setState('in-progress', this)
+        this.result = normaliseError(err)
+        this.setState('fail', this, this.result)
+        throw this.result
+      }
+      if (skip) {
+        this.skipReason = isString(skip) ? skip : undefined
         /**
-         * Test skipped.
+         * Test skipped, either before running or by calling `this.skip()` within the test function.
          * @event module:test-object-model#skipped
          * @param test {TestObjectModel} - The test node.
+         * @param reason {string} - The reason, if given.
          */
-        this.setState('skipped', this)
-      } else if (this.options.todo) {
+        this.setState('skipped', this, this.skipReason)
+      } else if (this.effectiveOptions.todo) {
         /**
          * Test todo.
          * @event module:test-object-model#todo
@@ -304,55 +934,95 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
         this.setState('in-progress', this)
 
         this.stats.start = performance.now()
-
-        try {
-          this.context = new TestContext({
-            name: this.name,
-            index: this.index
-          })
-          const testResult = this.testFn.call(this.context)
-          if (isPromise(testResult)) {
-            try {
-              const result = await Promise.race([testResult, raceTimeout(this.options.timeout)])
-              this.result = result
-              this.stats.finish(performance.now())
-
-              /**
-               * Test pass.
-               * @event module:test-object-model#pass
-               * @param test {TestObjectModel} - The test node.
-               * @param result {*} - The value returned by the test.
-               */
-              this.setState('pass', this, result)
-              return result
-            } catch (err) {
-              this.result = err
-              this.stats.finish(performance.now())
-
-              /**
-               * Test fail.
-               * @event module:test-object-model#fail
-               * @param test {TestObjectModel} - The test node.
-               * @param err {Error} - The exception thrown.
-               */
-              this.setState('fail', this, err)
-              return Promise.reject(err)
+        const options = this.effectiveOptions
+        /* a failure is expected, retrying would not help */
+        const retries = this.options.failing ? 0 : options.retries || 0
+        let attempt
+        for (let i = 0; i <= retries; i++) {
+          if (i > 0) {
+            /**
+             * Test failed and is about to be retried.
+             * @event module:test-object-model#retry
+             * @param test {TestObjectModel} - The test node.
+             * @param err {Error} - The exception thrown by the failed attempt.
+             * @param attempt {number} - The number of the attempt about to start, `2` being the first retry.
+             */
+            this.emit('retry', this, attempt.result, i + 1)
+            if (options.retryDelay) {
+              await new Promise(resolve => setTimeout(resolve, options.retryDelay * 2 ** (i - 1)))
             }
-          } else {
-            this.stats.finish(performance.now())
-            this.result = testResult
-            this.setState('pass', this, testResult)
-            return testResult
+            if (this._cancelled) break
           }
-        } catch (err) {
-          this.result = err
-          this.stats.finish(performance.now())
-          this.setState('fail', this, err)
-          throw (err)
+          attempt = await this._attempt(performance)
+          this.attempts.push({
+            error: attempt.failed ? attempt.result : undefined,
+            duration: attempt.duration
+          })
+          if (!attempt.failed || attempt.groupHookFailed || this._cancelled) break
+        }
+        this.stats.finish(performance.now())
+        const { failed, result } = attempt
+        if (attempt.skip && !this._cancelled) {
+          this.skipReason = attempt.skip.reason
+          this.setState('skipped', this, this.skipReason)
+          return
+        }
+        this.flaky = !failed && this.attempts.length > 1
+        const slow = options.slow
+        if (slow !== undefined && this.stats.duration > slow) {
+          this.slow = true
+          /**
+           * Test took longer than its `slow` threshold.
+           * @event module:test-object-model#slow
+           * @param test {TestObjectModel} - The test node.
+           * @param duration {number} - The test duration.
+           * @param threshold {number} - The `slow` threshold.
+           */
+          this.emit('slow', this, this.stats.duration, slow)
+        }
+
+        this.result = result
+        if (this._cancelled) {
+          this.setState('cancelled', this, result)
+          throw result
+        } else if (this.options.failing && failed && !attempt.groupHookFailed) {
+          /**
+           * A test marked `failing` failed, as expected.
+           * @event module:test-object-model#failing
+           * @param test {TestObjectModel} - The test node.
+           * @param err {Error} - The exception thrown.
+           */
+          this.setState('failing', this, result)
+          return result
+        } else if (this.options.failing && !failed) {
+          const err = new Error('Test marked as failing passed. Fixed? Remove .failing')
+          err.name = 'UnexpectedPassError'
+          err.result = result
+          this.result = normaliseError(err)
+          this.setState('fail', this, this.result)
+          throw this.result
+        } else if (failed) {
+          /**
+           * Test fail.
+           * @event module:test-object-model#fail
+           * @param test {TestObjectModel} - The test node.
+           * @param err {Error} - The exception thrown.
+           */
+          this.setState('fail', this, result)
+          throw result
+        } else {
+          /**
+           * Test pass.
+           * @event module:test-object-model#pass
+           * @param test {TestObjectModel} - The test node.
+           * @param result {*} - The value returned by the test.
+           */
+          this.setState('pass', this, result)
+          return result
         }
       }
     } else {
-      if (this.options.todo) {
+      if (this.effectiveOptions.todo) {
         this.setState('todo', this)
       } else {
         /**
@@ -366,17 +1036,329 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
   }
 
   /**
-   * Reset state
+   * Make one attempt at running the test function, wrapped in the `beforeEach` and `afterEach` hooks of parent groups. Each attempt has a fresh context.
+   * @param {object} performance - The `performance` implementation.
+   * @returns {Promise}
+   * @fulfil {object} - `{ failed, result, duration, groupHookFailed, skip }`
+   * @ignore
+   */
+  async _attempt (performance) {
+    this._removeDynamicChildren()
+    const start = performance.now()
+
+    /* outer-most group hooks run first before each test, last after */
+    const groups = this._groups()
+    const beforeEach = groups.map(g => g.hooks.beforeEach).flat()
+    const afterEach = groups.map(g => g.hooks.afterEach).flat().reverse()
+
+    let failed = false
+    let result
+    let context
+    try {
+      const controller = createAbortController()
+      this._abortController = controller
+      context = this.context = new TestContext({
+        name: this.name,
+        index: this.index,
+        row: this.row,
+        fullName: this.fullName,
+        snapshotStore: this._snapshotStore(),
+        snapshotName: this._snapshotName(),
+        fixtures: this._inheritedFixtures(),
+        signal: controller.signal,
+        tom: this
+      })
+
+      const failedGroup = groups.find(g => g.hookError)
+      if (failedGroup) {
+        return { failed: true, result: failedGroup.hookError, duration: 0, groupHookFailed: true }
+      }
+
+      if (beforeEach.length) {
+        await this._runHooks('beforeEach', beforeEach, context, context.fixtures)
+      }
+      const args = this.row === undefined ? [] : Array.isArray(this.row) ? this.row : [this.row]
+      result = this.testFn.call(context, ...args)
+      if (isPromise(result)) {
+        let settled = false
+        /* abort the signal on timeout so the test function can clean up */
+        const timeout = raceTimeout(this.effectiveOptions.timeout).catch(err => {
+          if (!settled) controller.abort()
+          throw err
+        })
+        const cancelled = new Promise((resolve, reject) => {
+          controller.signal.addEventListener('abort', () => {
+            if (this._cancelled) reject(cancelError())
+          })
+        })
+        try {
+          result = await Promise.race([result, timeout, cancelled])
+        } finally {
+          settled = true
+        }
+      }
+      context._verifyAssertions(this.effectiveOptions.requireAssertions)
+    } catch (err) {
+      failed = true
+      result = err
+    }
+    /* this.skip() was called, even if its exception was caught */
+    const skip = context && context._skip
+    if (skip) {
+      failed = false
+      result = undefined
+    }
+    const duration = performance.now() - start
+    /* no context if the attempt could not start */
+    if (afterEach.length && context) {
+      try {
+        await this._runHooks('afterEach', afterEach, context, context.fixtures)
+      } catch (err) {
+        if (!failed) {
+          failed = true
+          result = err
+        }
+      }
+    }
+    return { failed, result: failed ? normaliseError(result) : result, duration, skip: failed ? undefined : skip }
+  }
+
+  /**
+   * Returns the value of an option set on this node or, if unset, the nearest parent. Default values filled in by the constructor are not treated as set.
+   * @param {string} name - The option name.
+   * @returns {*}
+   * @ignore
+   */
+  _inheritedOption (name) {
+    const isSet = t => t.options && t.options[name] !== undefined &&
+      !(t._defaultedOptions && t._defaultedOptions[name] === t.options[name])
+    const owner = [this, ...this.parents()].find(isSet)
+    return owner && owner.options[name]
+  }
+
+  /**
+   * Returns the snapshot store set on this node or the nearest parent.
+   * @returns {SnapshotStore}
+   * @ignore
+   */
+  _snapshotStore () {
+    const owner = [this, ...this.parents()].find(t => t.snapshotStore)
+    return owner && owner.snapshotStore
+  }
+
+  /**
+   * Returns the fixtures set by the `beforeAll` hooks of all parent groups.
+   * @returns {object}
+   * @ignore
+   */
+  _inheritedFixtures () {
+    return Object.assign({}, ...this._groups().map(g => g.fixtures))
+  }
+
+  /**
+   * Returns the parent groups, outer-most first.
+   * @returns {Array.<module:test-object-model>}
+   * @ignore
+   */
+  _groups () {
+    /* a parent may be a node from a different copy of this package, e.g. the root created by a runner's own `Tom.combine()` */
+    return this.parents().reverse().filter(g => g.hooks)
+  }
+
+  /**
+   * Run hook functions in series, merging any returned object into `fixtures`. A hook failure is emitted as a `hook-fail` event then rethrown wrapped in a `HookError`.
+   * @param {string} hookName - `beforeAll`, `afterAll`, `beforeEach` or `afterEach`.
+   * @param {function[]} hooks - The hook functions.
+   * @param {object} thisArg - The `this` value for each hook.
+   * @param {object} fixtures - The fixtures object to pass to and extend from each hook.
+   * @returns {Promise}
+   * @ignore
+   */
+  async _runHooks (hookName, hooks, thisArg, fixtures) {
+    for (const hookFn of hooks) {
+      try {
+        let result = hookFn.call(thisArg, fixtures)
+        if (isPromise(result)) {
+          result = await Promise.race([result, raceTimeout(this.effectiveOptions.timeout)])
+        }
+        if (isPlainObject(result)) {
+          Object.assign(fixtures, result)
+        }
+      } catch (err) {
+        const hookErr = new Error(`${hookName} hook failed: ${err && err.message}`)
+        hookErr.name = 'HookError'
+        hookErr.hook = hookName
+        hookErr.cause = err
+        normaliseError(hookErr)
+        /**
+         * A lifecycle hook failed.
+         * @event module:test-object-model#hook-fail
+         * @param test {TestObjectModel} - The test or group node the hook ran for.
+         * @param err {Error} - A `HookError` with the original exception as `cause` and the hook name as `hook`.
+         */
+        this.emit('hook-fail', this, hookErr)
+        throw hookErr
+      }
+    }
+  }
+
+  /**
+   * Execute this test and every test beneath it. Within each group, `before` tests run first, then the remaining tests, then `after` tests. No more than `maxConcurrency` sibling tests run at once.
+   * @returns {Promise}
+   * @fulfil {object} - The number of tests in each end state plus the number of groups with a failed `beforeAll` or `afterAll` hook, e.g. `{ pass: 2, fail: 1, failing: 0, skipped: 0, todo: 0, ignored: 1, cancelled: 0, hookFail: 0 }`.
+   */
+  async runAll () {
+    this._activeRuns++
+    try {
+      const runner = new TreeRunner(this)
+      const summary = await runner.run()
+      this._emitComplete(summary)
+      return summary
+    } finally {
+      this._activeRuns--
+    }
+  }
+
+  /**
+   * Reset the test to its pre-run condition, ready to run again. State, result, stats, context, fixtures and attempt history are cleared, the test keeps its position (`index`), options and hooks. The `only` flags of the tree are re-evaluated and the summaries of parent groups updated.
+   * @param {boolean} [deep] - Also reset every test beneath this node.
    */
   reset (deep) {
-    if (deep) {
-      for (const tom of this) {
-        tom.reset()
+    this._assertWritable()
+    const tests = deep ? Array.from(this) : [this]
+    for (const test of tests) {
+      test._resetNode()
+    }
+    this._disableNonOnlyTests()
+    this._rebuildSummaries(tests)
+  }
+
+  /**
+   * Reset and run again the tests beneath this node matching `filter`, by default those which failed or were cancelled. Other tests keep their results. Parent groups of the selected tests are also reset so their hooks run again.
+   * @param {function} [filter] - Invoked with each test, return `true` to rerun it.
+   * @returns {Promise}
+   * @fulfil {object} - The number of tests beneath this node in each end state, as returned by `runAll()`.
+   * @example
+   * await tom.runAll()
+   * // after a file change
+   * await tom.rerun()
+   */
+  async rerun (filter = test => ['fail', 'cancelled'].includes(test.state)) {
+    this._assertWritable()
+    const include = new Set()
+    for (const test of Array.from(this).filter(t => t.testFn && filter(t))) {
+      for (const t of [test, ...test.parents()]) {
+        include.add(t)
+        if (t === this) break
+      }
+    }
+    /* tests registered by a rerun test function are not excluded */
+    const exclude = new Set(Array.from(this).filter(t => !include.has(t)))
+    for (const test of include) {
+      test._resetNode()
+    }
+    this._disableNonOnlyTests()
+    this._rebuildSummaries(include)
+    const runner = new TreeRunner(this, { exclude })
+    this._activeRuns++
+    try {
+      const summary = include.size ? await runner.run() : runner.summary()
+      this._emitComplete(summary)
+      return summary
+    } finally {
+      this._activeRuns--
+    }
+  }
+
+  /**
+   * @param {object} summary
+   * @ignore
+   */
+  _emitComplete (summary) {
+    /**
+     * A run started by `runAll()` or `rerun()` finished.
+     * @event module:test-object-model#complete
+     * @param test {TestObjectModel} - The node which was run.
+     * @param summary {object} - The number of tests in each end state.
+     */
+    this.emit('complete', this, summary)
+  }
+
+  /**
+   * Add a child while the test function is running, see `TestContext#test()`.
+   * @param {TestContext} context - The context of the calling test function.
+   * @param {string} method - `test` or `group`.
+   * @param {Array} args - Arguments for `method`.
+   * @returns {module:test-object-model}
+   * @ignore
+   */
+  _addDynamic (context, method, args) {
+    if (this.context !== context || this.state !== 'in-progress') {
+      throw new Error('Tests can only be added while the test function is running: ' + this.name)
+    }
+    const test = this[method](...args)
+    this._dynamicChildren.push(test)
+    return test
+  }
+
+  /**
+   * Remove the children added by a previous run of the test function.
+   * @ignore
+   */
+  _removeDynamicChildren () {
+    for (const child of this._dynamicChildren) {
+      this.remove(child)
+      child.parent = undefined
+    }
+    this._dynamicChildren = []
+  }
+
+  /**
+   * Reset this node, excluding its children.
+   * @ignore
+   */
+  _resetNode () {
+    this._removeDynamicChildren()
+    this.resetState()
+    /* after resetState(), the replay of the next run does not include the reset */
+    this._eventRecords = []
+    this.ended = false
+    this.result = undefined
+    this.skipReason = undefined
+    this._dependencySkip = undefined
+    this.stats.start = 0
+    this.stats.end = 0
+    this.stats.duration = 0
+    this.context = undefined
+    this.fixtures = {}
+    this.hookError = undefined
+    this.attempts = []
+    this.flaky = false
+    this.slow = false
+    this._cancelled = false
+    this._abortController = undefined
+  }
+
+  /**
+   * Recount the summaries of the supplied tests and their parents.
+   * @param {Iterable.<module:test-object-model>} tests
+   * @ignore
+   */
+  _rebuildSummaries (tests) {
+    const nodes = new Set()
+    for (const test of tests) {
+      nodes.add(test)
+      for (const parent of test.parents()) {
+        nodes.add(parent)
+      }
+    }
+    for (const node of nodes) {
+      /* the root of a combined tree may be a foreign node */
+      if (!node.summary) continue
+      node.summary = new Summary()
+      for (const test of Array.from(node).slice(1)) {
+        node.summary.update(test, test.state)
       }
-    } else {
-      this.index = 1
-      this.resetState()
-      this.disabledByOnly = false
     }
   }
 
@@ -389,6 +1371,83 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
     }
   }
 
+  /**
+   * Copy the outcome of a run from the output of `toJSON()`.
+   * @param {object} json
+   * @ignore
+   */
+  _restore (json) {
+    this.flaky = json.flaky
+    this.slow = json.slow
+    this.skipReason = json.skipReason
+    Object.assign(this.stats, json.stats)
+    this.result = json.error ? deserialiseError(json.error) : json.result
+    this.hookError = json.hookError ? deserialiseError(json.hookError) : undefined
+    this.attempts = json.attempts.map(attempt => ({
+      duration: attempt.duration,
+      error: attempt.error ? deserialiseError(attempt.error) : undefined
+    }))
+  }
+
+  /**
+   * Run this test, or this group and every test beneath it, in a worker thread which loads the defining module. State changes and events within the worker are mirrored onto this tree.
+   * @returns {Promise}
+   * @ignore
+   */
+  async _runIsolated () {
+    const worker = await startWorker(this, this._moduleUrl)
+    this._worker = worker
+    let error
+    await new Promise(resolve => {
+      worker.on('message', message => {
+        if (message.done) {
+          /* timers or handles left open by the tests must not keep the worker alive */
+          worker.terminate()
+        } else if (!this._cancelled) {
+          applyMessage(this, message)
+        }
+      })
+      worker.once('error', err => {
+        error = err
+      })
+      worker.once('exit', resolve)
+    })
+    this._worker = undefined
+
+    /* the worker was terminated by abort() or ended before every test finished */
+    for (const test of Array.from(this)) {
+      const reason = test._cancelled ? cancelError() : error || new Error('Worker exited before the test ended')
+      if (test.state === 'in-progress') {
+        test.result = reason
+        test.setState(test._cancelled ? 'cancelled' : 'fail', test, reason)
+      } else if (test.state === 'pending') {
+        test.result = reason
+        if (test === this && test.testFn && !test._cancelled) {
+          test.setState('in-progress', test)
+          test.setState('fail', test, reason)
+        } else {
+          test.setState('cancelled', test, reason)
+        }
+      }
+    }
+    if (['fail', 'cancelled'].includes(this.state)) {
+      throw this.result
+    } else {
+      return this.result
+    }
+  }
+
+  /**
+   * Invoked within the worker thread started by an isolated test.
+   * @param {object} workerData - Identifies the isolated test.
+   * @param {MessagePort} port
+   * @returns {Promise}
+   * @ignore
+   */
+  async _runInWorker (workerData, port) {
+    return runInWorker(this, workerData, port)
+  }
+
   /**
    * If more than one TOM instances are supplied, combine them into a common root.
    * @param {Array.<Tom>} tests
@@ -399,6 +1458,7 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
     let test
     if (tests.length > 1) {
       test = new this(name, options)
+      test._combined = true
       for (const subTom of tests) {
         this.validate(subTom)
         test.add(subTom)
@@ -411,6 +1471,39 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
     return test
   }
 
+  /**
+   * Rebuild a test tree from the output of `toJSON()`. The returned tree is read-only: it emits no events and cannot be run but exposes the same properties as the original.
+   * @param {object|string} json - The output of `toJSON()`, either as an object or JSON string.
+   * @return {module:test-object-model}
+   */
+  static fromJSON (json) {
+    if (isString(json)) {
+      json = JSON.parse(json)
+    }
+    const tom = new this(json.name, json.options)
+    tom._type = json.type
+    tom.index = json.index
+    tom.seed = json.seed
+    tom.disabledByOnly = json.disabledByOnly
+    tom.disabledByFilter = json.disabledByFilter
+    tom.row = json.row
+    tom._restore(json)
+    /* replay the state moves, no listeners are attached yet */
+    if (['pass', 'fail', 'failing'].includes(json.state)) {
+      tom.setState('in-progress')
+    }
+    if (json.state !== 'pending') {
+      tom.setState(json.state)
+    }
+    tom.ended = json.ended
+    for (const child of json.children) {
+      tom.add(this.fromJSON(child))
+    }
+    tom._rebuildSummaries([tom])
+    tom.readOnly = true
+    return tom
+  }
+
   /**
    * Returns true if the input is a valid test.
    * @param {module:test-object-model} tom - Input to test.
@@ -426,4 +1519,66 @@ class Tom extends mixin(CompositeClass)(StateMachine) {
   }
 }
 
+/* insert row values into a test name template */
+function formatName (template, row, index) {
+  if (!isString(template)) return template
+  if (isPlainObject(row)) {
+    return template.replace(/\$(#|[\w.]+)/g, (match, field) => {
+      if (field === '#') return index
+      const value = field.split('.').reduce((obj, key) => obj === undefined || obj === null ? undefined : obj[key], row)
+      return value === undefined ? match : formatValue(value)
+    })
+  } else {
+    const values = Array.isArray(row) ? row.slice() : [row]
+    return template.replace(/%([sdij#%])/g, (match, type) => {
+      if (type === '%') return '%'
+      if (type === '#') return index
+      if (!values.length) return match
+      const value = values.shift()
+      if (type === 'd' || type === 'i') {
+        return type === 'i' ? parseInt(value) : Number(value)
+      } else if (type === 'j') {
+        return JSON.stringify(value)
+      } else {
+        return formatValue(value)
+      }
+    })
+  }
+}
+
+function formatValue (value) {
+  if (isString(value)) {
+    return value
+  } else {
+    try {
+      return JSON.stringify(value) || String(value)
+    } catch (err) {
+      return String(value)
+    }
+  }
+}
+
+const defaultOptions = {
+  timeout: 10000,
+  maxConcurrency: 10
+}
+
+/* options a test inherits from its nearest parent group, if unset */
+const inheritableOptions = ['timeout', 'maxConcurrency', 'skip', 'todo', 'slow', 'retries', 'retryDelay', 'requireAssertions', 'onlyScope', 'serial']
+
+function textMatches (text, pattern) {
+  return pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern)
+}
+
+function endsWith (path, suffix) {
+  const tail = path.slice(path.length - suffix.length)
+  return tail.length === suffix.length && tail.every((name, i) => name === suffix[i])
+}
+
+function cancelError () {
+  const err = new Error('Test cancelled')
+  err.name = 'AbortError'
+  return err
+}
+
 export default Tom
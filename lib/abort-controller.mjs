@@ -0,0 +1,33 @@
+/* global AbortController */
+
+/**
+ * Returns an `AbortController` or, on platforms without one (e.g. Node.js 14), a minimal substitute whose `signal` has an `aborted` property and supports `addEventListener()` and `removeEventListener()` for the `abort` event.
+ * @returns {AbortController}
+ */
+function createAbortController () {
+  if (typeof AbortController !== 'undefined') {
+    return new AbortController()
+  }
+  const listeners = new Set()
+  const signal = {
+    aborted: false,
+    addEventListener (eventName, listener) {
+      if (eventName === 'abort') listeners.add(listener)
+    },
+    removeEventListener (eventName, listener) {
+      if (eventName === 'abort') listeners.delete(listener)
+    }
+  }
+  return {
+    signal,
+    abort () {
+      if (signal.aborted) return
+      signal.aborted = true
+      for (const listener of listeners) {
+        listener.call(signal, { type: 'abort', target: signal })
+      }
+    }
+  }
+}
+
+export default createAbortController
@@ -0,0 +1,60 @@
+/* the largest table of common subsequence lengths computed, beyond which changed lines are listed as removed then added */
+const maxCells = 1e6
+
+/**
+ * Returns a line-by-line diff of two strings. Lines only in `expected` are prefixed `- `, lines only in `actual` are prefixed `+ ` and common lines are indented two spaces.
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {string}
+ */
+function diff (expected, actual) {
+  const a = expected.split('\n')
+  const b = actual.split('\n')
+
+  /* lines common to the start and end are not compared */
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++
+  }
+  let end = 0
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+    end++
+  }
+  const changed = changedLines(a.slice(start, a.length - end), b.slice(start, b.length - end))
+  return [
+    ...a.slice(0, start).map(line => `  ${line}`),
+    ...changed,
+    ...a.slice(a.length - end).map(line => `  ${line}`)
+  ].join('\n')
+}
+
+function changedLines (a, b) {
+  if ((a.length + 1) * (b.length + 1) > maxCells) {
+    return [...a.map(line => `- ${line}`), ...b.map(line => `+ ${line}`)]
+  }
+
+  /* longest common subsequence lengths, computed from the end */
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const lines = []
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i++]}`)
+      j++
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push(`- ${a[i++]}`)
+    } else {
+      lines.push(`+ ${b[j++]}`)
+    }
+  }
+  return lines
+}
+
+export default diff
@@ -0,0 +1,76 @@
+/* orders records from different nodes when replaying */
+let sequence = 0
+
+/**
+ * Create the record of an event emitted by `test`. A leading `test` argument, passed by most events, is omitted from `data`.
+ * @param {module:test-object-model} test - The node which emitted the event.
+ * @param {string} type - The event name.
+ * @param {Array} args - The event arguments.
+ * @returns {object}
+ */
+function createRecord (test, type, args) {
+  return {
+    seq: sequence++,
+    type,
+    test,
+    path: test.path,
+    data: args[0] === test ? args.slice(1) : args,
+    timestamp: Date.now()
+  }
+}
+
+/**
+ * Returns true if `record` is a `complete` event emitted by `tom` or one of its parents.
+ * @param {module:test-object-model} tom
+ * @param {object} record
+ * @returns {boolean}
+ */
+function isComplete (tom, record) {
+  return record.type === 'complete' && (record.test === tom || tom.parents().includes(record.test))
+}
+
+/**
+ * Returns true if every node beneath `tom` has finished and no `runAll()` or `rerun()` of `tom` or a parent, which ends with a `complete` event, is in progress.
+ * @param {module:test-object-model} tom
+ * @returns {boolean}
+ */
+function isSettled (tom) {
+  return Array.from(tom).every(test => !['pending', 'in-progress'].includes(test.state)) &&
+    ![tom, ...tom.parents()].some(test => test._activeRuns)
+}
+
+/**
+ * Yield the recorded events of `tom` and its descendants, in the order emitted, followed by each new event until a `complete` event from `tom` or one of its parents or, for a tree not run by `runAll()` or `rerun()`, until every node beneath `tom` has finished.
+ * @param {module:test-object-model} tom
+ * @returns {AsyncGenerator}
+ */
+async function * eventStream (tom) {
+  const buffer = Array.from(tom).flatMap(test => test._eventRecords)
+    .concat(tom.parents().flatMap(test => (test._eventRecords || []).filter(record => isComplete(tom, record))))
+    .sort((a, b) => a.seq - b.seq)
+  let wake
+  const subscriber = record => {
+    buffer.push(record)
+    if (wake) {
+      wake()
+      wake = undefined
+    }
+  }
+  tom._eventSubscribers.add(subscriber)
+  try {
+    while (true) {
+      while (buffer.length) {
+        const { seq, ...record } = buffer.shift()
+        yield record
+        if (isComplete(tom, record)) return
+      }
+      /* e.g. run by a runner calling run() on each node */
+      if (isSettled(tom)) return
+      await new Promise(resolve => { wake = resolve })
+    }
+  } finally {
+    tom._eventSubscribers.delete(subscriber)
+  }
+}
+
+export { createRecord, eventStream }
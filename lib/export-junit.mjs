@@ -0,0 +1,128 @@
+import { isError } from './serialise.mjs'
+
+/**
+ * Returns a JUnit XML document describing a finished test tree. Each node containing tests becomes a `<testsuite>` named by its path from the root (e.g. `root > parser > numbers`), each test or todo (as reported by `type`) becomes a `<testcase>`. Groups without tests are omitted. Output depends only on the tree: there are no timestamps or host details, making it suitable for snapshotting.
+ * @param {module:test-object-model} tom - The root of a finished tree.
+ * @param {object} [options]
+ * @param {boolean} [options.timings] - Set to `false` to omit the `time` attributes.
+ * @returns {string}
+ * @example
+ * await tom.runAll()
+ * await fs.writeFile('junit.xml', exportJUnit(tom))
+ */
+function exportJUnit (tom, options = {}) {
+  const timings = options.timings !== false
+  const groups = Array.from(tom).filter(group => group.children.some(isTestcase))
+  const suites = groups.map(group => suiteXml(group, tom, timings))
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0, time: 0 }
+  for (const test of groups.flatMap(group => group.children.filter(isTestcase))) {
+    addToTotals(totals, test)
+  }
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${attributes(tom.name, totals, timings)}>`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n')
+}
+
+function suiteXml (group, root, timings) {
+  const path = [group]
+  while (path[0] !== root && path[0].parent) {
+    path.unshift(path[0].parent)
+  }
+  const name = path.map(t => t.name).join(' > ')
+  const tests = group.children.filter(isTestcase)
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0, time: 0 }
+  for (const test of tests) {
+    addToTotals(totals, test)
+  }
+  return [
+    `  <testsuite ${attributes(name, totals, timings)}>`,
+    ...tests.map(test => testcaseXml(test, name, timings)),
+    '  </testsuite>'
+  ].join('\n')
+}
+
+/* a test with children registered while it ran is also the suite of those children */
+function isTestcase (tom) {
+  return tom.type !== 'group'
+}
+
+function testcaseXml (test, classname, timings) {
+  const attrs = `name="${escapeAttribute(test.name)}" classname="${escapeAttribute(classname)}"` +
+    (timings ? ` time="${seconds(test.stats.duration)}"` : '')
+  const body = []
+  if (test.tags.length) {
+    body.push(
+      '      <properties>',
+      ...test.tags.map(tag => `        <property name="tag" value="${escapeAttribute(tag)}"/>`),
+      '      </properties>'
+    )
+  }
+  if (test.state === 'fail') {
+    body.push(problemXml('failure', test.result))
+  } else if (test.state === 'cancelled') {
+    body.push(problemXml('error', test.result))
+  } else if (!['pass', 'failing'].includes(test.state)) {
+    const reason = ['pending', 'in-progress'].includes(test.state) ? 'not run' : test.skipReason || test.state
+    body.push(`      <skipped message="${escapeAttribute(reason)}"/>`)
+  }
+  if (body.length) {
+    return [`    <testcase ${attrs}>`, ...body, '    </testcase>'].join('\n')
+  } else {
+    return `    <testcase ${attrs}/>`
+  }
+}
+
+function problemXml (element, err) {
+  if (isError(err)) {
+    return `      <${element} message="${escapeAttribute(err.message)}" type="${escapeAttribute(err.name)}">${escape(err.stack || '')}</${element}>`
+  } else {
+    return `      <${element} message="${escapeAttribute(String(err))}"/>`
+  }
+}
+
+function addToTotals (totals, test) {
+  totals.tests++
+  totals.time += test.stats.duration
+  if (test.state === 'fail') {
+    totals.failures++
+  } else if (test.state === 'cancelled') {
+    totals.errors++
+  } else if (!['pass', 'failing'].includes(test.state)) {
+    totals.skipped++
+  }
+}
+
+function attributes (name, totals, timings) {
+  return `name="${escapeAttribute(name)}" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}"` +
+    (timings ? ` time="${seconds(totals.time)}"` : '')
+}
+
+function seconds (ms) {
+  return (ms / 1000).toFixed(3)
+}
+
+/* whitespace in attribute values would otherwise be normalised to spaces */
+function escapeAttribute (value) {
+  return escape(value)
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\t/g, '&#9;')
+}
+
+/* escape markup and remove characters which are invalid in XML 1.0 */
+function escape (value) {
+  return String(value)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+export default exportJUnit
@@ -0,0 +1,58 @@
+/**
+ * Returns a stable, human-readable string representation of any value. Object keys are sorted and output is indented so the same value always produces the same string, suitable for storing and diffing.
+ * @param {*} value
+ * @returns {string}
+ */
+function format (value) {
+  return formatValue(value, '', [])
+}
+
+function formatValue (value, indent, seen) {
+  if (value === null) return 'null'
+  switch (typeof value) {
+    case 'undefined':
+    case 'boolean':
+      return String(value)
+    case 'number':
+      return Object.is(value, -0) ? '-0' : String(value)
+    case 'bigint':
+      return `${value}n`
+    case 'string':
+      return JSON.stringify(value)
+    case 'symbol':
+      return value.toString()
+    case 'function':
+      return `[Function ${value.name || 'anonymous'}]`
+  }
+
+  if (seen.includes(value)) return '[Circular]'
+  seen = seen.concat([value])
+  const inner = indent + '  '
+  const block = (open, lines, close) => {
+    return lines.length
+      ? `${open}\n${lines.map(line => `${inner}${line},`).join('\n')}\n${indent}${close}`
+      : `${open}${close}`
+  }
+
+  if (value instanceof Date) {
+    return `Date(${isNaN(value) ? 'Invalid Date' : value.toISOString()})`
+  } else if (value instanceof RegExp) {
+    return value.toString()
+  } else if (value instanceof Error) {
+    return `${value.name}(${JSON.stringify(value.message)})`
+  } else if (Array.isArray(value)) {
+    return block('[', value.map(item => formatValue(item, inner, seen)), ']')
+  } else if (value instanceof Map) {
+    const lines = Array.from(value).map(([key, val]) => `${formatValue(key, inner, seen)} => ${formatValue(val, inner, seen)}`)
+    return block('Map {', lines, '}')
+  } else if (value instanceof Set) {
+    return block('Set {', Array.from(value).map(item => formatValue(item, inner, seen)), '}')
+  } else {
+    const proto = Object.getPrototypeOf(value)
+    const name = proto && proto !== Object.prototype && proto.constructor ? `${proto.constructor.name} ` : ''
+    const lines = Object.keys(value).sort().map(key => `${JSON.stringify(key)}: ${formatValue(value[key], inner, seen)}`)
+    return block(`${name}{`, lines, '}')
+  }
+}
+
+export default format
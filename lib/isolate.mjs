@@ -0,0 +1,150 @@
+import { isError, serialiseError, deserialiseError, toJSONValue } from './serialise.mjs'
+
+/* events, other than state changes, mirrored from the worker */
+const mirroredEvents = ['retry', 'slow', 'hook-fail']
+
+/* runs in the worker: load the defining module and hand over to the isolated test */
+const workerSource = `
+const { parentPort, workerData } = require('worker_threads')
+import(workerData.moduleUrl)
+  .then(mod => mod.default)
+  .then(root => root._runInWorker(workerData, parentPort))
+`
+
+/* functions, symbols and other values which cannot be posted to the parent thread are removed, as by `JSON.stringify()` */
+function cloneable (value) {
+  const json = JSON.stringify(toJSONValue(value))
+  return json === undefined ? undefined : JSON.parse(json)
+}
+
+/**
+ * Returns the URL of the module which called the code that produced `stack`, skipping frames within `ownUrl`.
+ * @param {string} stack - An `Error` stack.
+ * @param {string} ownUrl - The URL of the calling module.
+ * @returns {string}
+ */
+function callerUrl (stack, ownUrl) {
+  for (const line of String(stack).split('\n').slice(1)) {
+    const matches = /\(?((?:file:\/\/)?\/[^\s()]+?):\d+:\d+\)?$/.exec(line)
+    if (matches) {
+      const url = matches[1].startsWith('file://') ? matches[1] : `file://${matches[1]}`
+      if (url !== ownUrl) return url
+    }
+  }
+}
+
+/**
+ * Returns the names of the test and its parents, from the root.
+ * @param {module:test-object-model} tom
+ * @returns {string[]}
+ */
+function namePath (tom) {
+  return [...tom.parents().reverse(), tom].map(t => t.name)
+}
+
+/**
+ * Start a worker thread which loads the module defining `tom` and runs it.
+ * @param {module:test-object-model} tom - The test or group to run.
+ * @param {string} moduleUrl - The URL of the module defining the test.
+ * @returns {Promise}
+ * @fulfil {Worker}
+ */
+async function startWorker (tom, moduleUrl) {
+  const { Worker } = await import('worker_threads')
+  return new Worker(workerSource, {
+    eval: true,
+    workerData: {
+      moduleUrl,
+      path: namePath(tom),
+      /* selections made in this thread by only() and filter(), plus the outcome of dependencies outside the worker */
+      disabled: Array.from(tom).map(test => ({
+        path: namePath(test).slice(namePath(tom).length),
+        disabledByOnly: test.disabledByOnly,
+        disabledByFilter: test.disabledByFilter,
+        dependencySkip: test._dependencySkip
+      }))
+    }
+  })
+}
+
+/**
+ * Run a test or group within the worker, posting each state change and event to the parent thread, then `{ done: true }` once the run is complete.
+ * @param {module:test-object-model} root - The default export of the defining module.
+ * @param {object} workerData - The data passed by `startWorker()`.
+ * @param {MessagePort} port
+ * @returns {Promise}
+ */
+async function runInWorker (root, workerData, port) {
+  const { path, disabled } = workerData
+  /* the parent thread may have combined the module tree beneath other groups */
+  const tom = Array.from(root)
+    .map(t => ({ test: t, names: namePath(t) }))
+    .filter(({ names }) => names.length <= path.length && names.every((name, i) => name === path[path.length - names.length + i]))
+    .sort((a, b) => b.names.length - a.names.length)
+    .map(({ test }) => test)[0]
+  if (!tom) {
+    throw new Error('Isolated test not found in module: ' + path.join(' > '))
+  }
+  tom._inWorker = true
+  const relativePath = test => namePath(test).slice(namePath(tom).length)
+  for (const test of Array.from(tom)) {
+    const flags = disabled.find(d => d.path.join('\0') === relativePath(test).join('\0'))
+    if (flags) {
+      test.disabledByOnly = flags.disabledByOnly
+      test.disabledByFilter = flags.disabledByFilter
+      test._dependencySkip = flags.dependencySkip
+    }
+  }
+  tom.on('state', function (state) {
+    const json = this.toJSON()
+    json.children = []
+    port.postMessage({ path: relativePath(this), state, test: cloneable(json) })
+  })
+  for (const eventName of mirroredEvents) {
+    tom.on(eventName, (test, ...args) => {
+      port.postMessage({
+        path: relativePath(test),
+        event: eventName,
+        args: args.map(arg => isError(arg) ? { error: cloneable(serialiseError(arg)) } : { value: cloneable(arg) })
+      })
+    })
+  }
+  await tom.runAll()
+  port.postMessage({ done: true })
+}
+
+/**
+ * Apply a message posted by `runInWorker()` to the parent-thread tree.
+ * @param {module:test-object-model} tom - The isolated test or group.
+ * @param {object} message
+ */
+function applyMessage (tom, message) {
+  let test = tom
+  for (const name of message.path) {
+    let child = test.children.find(t => t.name === name)
+    if (!child) {
+      /* added by the test function within the worker */
+      child = new tom.constructor(name, message.test.options)
+      test.add(child)
+      child.index = message.test.index
+      child._type = message.test.type
+      test._dynamicChildren.push(child)
+    }
+    test = child
+  }
+  if (message.event) {
+    const args = message.args.map(arg => arg.error ? deserialiseError(arg.error) : arg.value)
+    test.emit(message.event, test, ...args)
+  } else {
+    test._restore(message.test)
+    if (['pass', 'fail', 'failing', 'cancelled'].includes(message.state)) {
+      test.setState(message.state, test, test.result)
+    } else if (message.state === 'skipped') {
+      test.setState(message.state, test, test.skipReason)
+    } else {
+      test.setState(message.state, test)
+    }
+  }
+}
+
+export { callerUrl, startWorker, runInWorker, applyMessage }
@@ -0,0 +1,54 @@
+/**
+ * Grants permission to run to one test at a time per named resource, with an optional cap on the number of tests running at once.
+ */
+class LockManager {
+  /**
+   * @param {number} [limit] - The max number of locks held at once. Defaults to `Infinity`.
+   */
+  constructor (limit) {
+    this.limit = limit || Infinity
+    this.running = 0
+    this.held = new Set()
+    this.waiting = []
+  }
+
+  /**
+   * Wait until every named resource is free and the limit allows, then hold them.
+   * @param {string[]} [resources] - The resource names, e.g. `['db']`.
+   * @returns {Promise}
+   * @fulfil {function} - Invoke to release the lock.
+   */
+  acquire (resources = []) {
+    return new Promise(resolve => {
+      this.waiting.push({ resources, resolve })
+      this.grant()
+    })
+  }
+
+  /**
+   * Grant locks to waiting requests, in request order, where possible. A request blocked by a held resource does not block later requests for other resources.
+   */
+  grant () {
+    for (const request of this.waiting.slice()) {
+      if (this.running >= this.limit) break
+      if (request.resources.some(name => this.held.has(name))) continue
+      this.waiting.splice(this.waiting.indexOf(request), 1)
+      this.running++
+      for (const name of request.resources) {
+        this.held.add(name)
+      }
+      let released = false
+      request.resolve(() => {
+        if (released) return
+        released = true
+        this.running--
+        for (const name of request.resources) {
+          this.held.delete(name)
+        }
+        this.grant()
+      })
+    }
+  }
+}
+
+export default LockManager
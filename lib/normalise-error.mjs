@@ -0,0 +1,86 @@
+import { isError } from './serialise.mjs'
+import format from './format.mjs'
+
+/* the directory containing this package, e.g. `/project/node_modules/@test-runner/tom/` (resolves the same from `lib/` and `dist/`) */
+const packageDir = new URL('..', import.meta.url).href.replace(/^file:\/\//, '')
+
+/* stack frames from this package, the runner or Node.js internals */
+const hiddenFrames = [
+  `${packageDir}index.mjs`,
+  `${packageDir}lib/`,
+  `${packageDir}dist/`,
+  '/node_modules/@test-runner/',
+  '/node_modules/test-runner/',
+  'node:internal/',
+  '(internal/'
+]
+
+/**
+ * Normalise a value thrown by a failing test so reporters can rely on its shape. The returned value is always an error with a `name`, `message` and `stack`:
+ *
+ * - Errors, including errors from other realms, are returned (not copied) with frames from this package, the runner and Node.js internals removed from the stack.
+ * - Any other thrown value (a string, plain object, `undefined` etc.) is wrapped in a `NonError` with the original value as `value`.
+ * - A `cause` chain and the `errors` of an `AggregateError` are normalised recursively.
+ * - The `expected` and `actual` values of an assertion error are copied from `matcherResult`, where set by `expect`-style libraries.
+ * @param {*} err - The thrown value.
+ * @returns {Error}
+ */
+function normaliseError (err, seen = new Set()) {
+  if (!isError(err)) {
+    err = nonError(err)
+  }
+  if (seen.has(err)) return err
+  seen.add(err)
+
+  setProp(err, 'stack', cleanStack(err.stack))
+  if (err.cause !== undefined) {
+    const cause = normaliseError(err.cause, seen)
+    if (cause !== err.cause) setProp(err, 'cause', cause)
+  }
+  if (Array.isArray(err.errors)) {
+    const errors = err.errors.map(member => normaliseError(member, seen))
+    if (errors.some((member, i) => member !== err.errors[i])) setProp(err, 'errors', errors)
+  }
+  const matcherResult = err.matcherResult
+  if (matcherResult && typeof matcherResult === 'object') {
+    for (const key of ['expected', 'actual']) {
+      if (err[key] === undefined && matcherResult[key] !== undefined) {
+        setProp(err, key, matcherResult[key])
+      }
+    }
+  }
+  return err
+}
+
+function nonError (value) {
+  let message
+  if (typeof value === 'string') {
+    message = value
+  } else if (value && typeof value.message === 'string') {
+    message = value.message
+  } else {
+    message = format(value)
+  }
+  const err = new Error(message)
+  err.name = 'NonError'
+  err.value = value
+  return err
+}
+
+/* remove hidden frames, unless that would remove every frame */
+function cleanStack (stack) {
+  if (typeof stack !== 'string') return stack
+  const lines = stack.split('\n')
+  const isFrame = line => /^\s+at /.test(line)
+  const cleaned = lines.filter(line => !(isFrame(line) && hiddenFrames.some(frame => line.includes(frame))))
+  return cleaned.some(isFrame) ? cleaned.join('\n') : stack
+}
+
+/* errors may be frozen or have read-only properties */
+function setProp (err, key, value) {
+  try {
+    err[key] = value
+  } catch (e) {}
+}
+
+export default normaliseError
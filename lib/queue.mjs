@@ -0,0 +1,39 @@
+/**
+ * Invokes an array of job functions, no more than `maxConcurrency` at once.
+ */
+class Queue {
+  /**
+   * @param {function[]} jobs - An array of functions, each of which must return a Promise.
+   * @param {number} [maxConcurrency] - The max number of jobs running at once. Defaults to `10`.
+   */
+  constructor (jobs, maxConcurrency) {
+    this.jobs = jobs
+    this.maxConcurrency = maxConcurrency || 10
+  }
+
+  /**
+   * Process every job, starting a new one as soon as a slot is free.
+   * @returns {Promise}
+   * @fulfil {Array} - The job results, in job order.
+   */
+  async process () {
+    const jobs = this.jobs.slice()
+    const results = []
+    let next = 0
+    const worker = async () => {
+      while (next < jobs.length) {
+        const index = next++
+        results[index] = await jobs[index]()
+      }
+    }
+    const workers = []
+    const workerCount = Math.min(this.maxConcurrency, jobs.length)
+    for (let i = 0; i < workerCount; i++) {
+      workers.push(worker())
+    }
+    await Promise.all(workers)
+    return results
+  }
+}
+
+export default Queue
@@ -0,0 +1,41 @@
+/**
+ * Returns a pseudo-random number generator (mulberry32) which, for a given seed, always produces the same sequence of numbers between 0 and 1.
+ * @param {number} seed - A 32-bit integer.
+ * @returns {function}
+ */
+function createRandom (seed) {
+  let state = seed >>> 0
+  return function random () {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Returns a random 32-bit integer, for use as a seed.
+ * @returns {number}
+ */
+function createSeed () {
+  return Math.floor(Math.random() * 4294967296)
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates).
+ * @param {Array} array
+ * @param {function} random - Returns a number between 0 and 1.
+ * @returns {Array}
+ */
+function shuffleArray (array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const tmp = array[i]
+    array[i] = array[j]
+    array[j] = tmp
+  }
+  return array
+}
+
+export { createRandom, createSeed, shuffleArray }
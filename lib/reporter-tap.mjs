@@ -0,0 +1,165 @@
+import { isError } from './serialise.mjs'
+
+/**
+ * Writes [TAP version 14](https://testanything.org/tap-version-14-specification.html) for a test tree as it runs. Groups are written as nested subtests. Output is written in tree order: a test point is written once it and every test before it has ended.
+ * @example
+ * const reporter = new TapReporter(tom)
+ * await tom.runAll()
+ */
+class TapReporter {
+  /**
+   * @param {module:test-object-model} tom - The root of the tree to report on.
+   * @param {object} [options]
+   * @param {function} [options.write] - Invoked with each line of output. Defaults to `console.log`.
+   */
+  constructor (tom, options = {}) {
+    /**
+     * The root of the tree being reported on.
+     * @type {module:test-object-model}
+     */
+    this.tom = tom
+    this.write = options.write || (line => console.log(line))
+    this.started = false
+    this.ended = false
+    this.written = new Set()
+    this.opened = new Set()
+    for (const eventName of ['pass', 'fail', 'failing', 'skipped', 'todo', 'ignored', 'cancelled']) {
+      tom.on(eventName, () => this.flush())
+    }
+  }
+
+  /**
+   * Write the output for every ended test not yet written, stopping at the first test still pending or in progress.
+   */
+  flush () {
+    if (this.ended) return
+    if (!this.started) {
+      this.write('TAP version 14')
+      if (this.tom.seed !== undefined) {
+        this.write(`# Seed: ${this.tom.seed}`)
+      }
+      this.started = true
+    }
+    const tests = this.tom.children.length ? this.tom.children : [this.tom]
+    if (this.writeSet(tests, 0)) {
+      this.write(`1..${tests.length}`)
+      this.ended = true
+    }
+  }
+
+  /**
+   * Write the test points for a set of sibling tests. Returns `true` if every test in the set has been written.
+   * @param {Array.<module:test-object-model>} tests
+   * @param {number} depth
+   * @returns {boolean}
+   */
+  writeSet (tests, depth) {
+    const indent = '    '.repeat(depth)
+    for (const [i, test] of tests.entries()) {
+      if (this.written.has(test)) continue
+      if (test.children.length) {
+        if (!this.opened.has(test)) {
+          this.write(`${indent}# Subtest: ${test.name}`)
+          this.opened.add(test)
+        }
+        if (!this.writeSet(test.children, depth + 1) || !hasEnded(test)) return false
+        this.write(`${indent}    1..${test.children.length}`)
+      } else if (!hasEnded(test)) {
+        return false
+      }
+      this.writeTestPoint(test, i + 1, indent)
+      this.written.add(test)
+    }
+    return true
+  }
+
+  /**
+   * Write a test point line plus its YAML diagnostics block.
+   * @param {module:test-object-model} test
+   * @param {number} number - The test point number.
+   * @param {string} indent
+   */
+  writeTestPoint (test, number, indent) {
+    let ok = !Array.from(test).some(t => t.state === 'fail' || t.state === 'cancelled')
+    let directive = ''
+    /* a test may skip itself while running */
+    if (test.testFn ? test.state === 'skipped' : test.toSkip) {
+      directive = test.skipReason ? ` # SKIP ${escape(test.skipReason)}` : ' # SKIP'
+    } else if (test.effectiveOptions.todo || test.type === 'todo') {
+      /* by convention, an incomplete test is "not ok" */
+      directive = ' # TODO'
+      ok = false
+    } else if (test.state === 'failing') {
+      /* an expected failure is a known bug, reported the same way as incomplete work */
+      directive = ' # TODO expected failure'
+      ok = false
+    }
+    this.write(`${indent}${ok ? 'ok' : 'not ok'} ${number} - ${escape(test.name)}${directive}`)
+    const diagnostics = this.diagnostics(test)
+    if (diagnostics.length) {
+      this.write(`${indent}  ---`)
+      for (const line of diagnostics) {
+        this.write(`${indent}  ${line}`)
+      }
+      this.write(`${indent}  ...`)
+    }
+  }
+
+  /**
+   * Returns the YAML diagnostic lines for a test which ran.
+   * @param {module:test-object-model} test
+   * @returns {string[]}
+   */
+  diagnostics (test) {
+    const lines = []
+    if (!['pass', 'fail', 'failing', 'cancelled'].includes(test.state)) return lines
+    lines.push(`duration_ms: ${round(test.stats.duration)}`)
+    if (test.tags.length) {
+      lines.push(`tags: ${yamlValue(test.tags)}`)
+    }
+    if (test.state === 'pass') {
+      if (test.result !== undefined) {
+        lines.push(`result: ${yamlValue(test.result)}`)
+      }
+    } else {
+      const err = test.result
+      if (isError(err)) {
+        lines.push(`name: ${yamlValue(err.name)}`)
+        lines.push(`message: ${yamlValue(err.message)}`)
+        if (err.stack) {
+          lines.push('stack: |-')
+          for (const line of String(err.stack).split('\n')) {
+            lines.push(`  ${line}`)
+          }
+        }
+      } else {
+        lines.push(`message: ${yamlValue(String(err))}`)
+      }
+    }
+    return lines
+  }
+}
+
+function hasEnded (test) {
+  return !['pending', 'in-progress'].includes(test.state)
+}
+
+/* `#` and `\` must be escaped in a test point description */
+function escape (description) {
+  return description.replace(/\\/g, '\\\\').replace(/#/g, '\\#')
+}
+
+function round (ms) {
+  return Math.round(ms * 1000) / 1000
+}
+
+/* JSON is valid YAML flow syntax */
+function yamlValue (value) {
+  try {
+    return JSON.stringify(value) || JSON.stringify(String(value))
+  } catch (err) {
+    return JSON.stringify(String(value))
+  }
+}
+
+export default TapReporter
@@ -0,0 +1,87 @@
+/**
+ * Returns true if the input is an Error, including errors from other realms and error-like objects.
+ * @param {*} input
+ * @returns {boolean}
+ */
+function isError (input) {
+  return input instanceof Error || Object.prototype.toString.call(input) === '[object Error]'
+}
+
+/**
+ * Convert a thrown value to a JSON-safe object. Errors become `{ name, message, stack, cause, errors, props }` where `cause` and `errors` (the members of an `AggregateError`) are serialised recursively and `props` holds any custom properties. An error already serialised higher up the same chain becomes `{ value: '[Circular]' }`. Any other thrown value becomes `{ value }`.
+ * @param {*} err - The thrown value.
+ * @returns {object}
+ */
+function serialiseError (err, seen = new Set()) {
+  if (isError(err)) {
+    if (seen.has(err)) {
+      return { value: '[Circular]' }
+    }
+    seen = new Set(seen).add(err)
+    const output = {
+      name: err.name,
+      message: err.message,
+      stack: err.stack
+    }
+    if (err.cause !== undefined) {
+      output.cause = serialiseError(err.cause, seen)
+    }
+    if (Array.isArray(err.errors)) {
+      output.errors = err.errors.map(member => serialiseError(member, seen))
+    }
+    const props = {}
+    for (const key of Object.keys(err)) {
+      if (!['name', 'message', 'stack', 'cause', 'errors'].includes(key)) {
+        props[key] = toJSONValue(err[key], seen)
+      }
+    }
+    if (Object.keys(props).length) {
+      output.props = props
+    }
+    return output
+  } else {
+    return { value: toJSONValue(err) }
+  }
+}
+
+/**
+ * Rebuild a thrown value serialised by `serialiseError`.
+ * @param {object} obj
+ * @returns {*}
+ */
+function deserialiseError (obj) {
+  if (obj && typeof obj.message === 'string') {
+    const err = new Error(obj.message)
+    err.name = obj.name
+    err.stack = obj.stack
+    Object.assign(err, obj.props)
+    if (obj.cause) {
+      err.cause = deserialiseError(obj.cause)
+    }
+    if (obj.errors) {
+      err.errors = obj.errors.map(deserialiseError)
+    }
+    return err
+  } else {
+    return obj && obj.value
+  }
+}
+
+/**
+ * Return values which cannot be represented as JSON (e.g. circular structures) as strings.
+ * @param {*} value
+ * @returns {*}
+ */
+function toJSONValue (value, seen) {
+  if (isError(value)) {
+    return serialiseError(value, seen)
+  }
+  try {
+    JSON.stringify(value)
+    return value
+  } catch (err) {
+    return String(value)
+  }
+}
+
+export { isError, serialiseError, deserialiseError, toJSONValue }
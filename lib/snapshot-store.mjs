@@ -0,0 +1,133 @@
+import format from './format.mjs'
+import diff from './diff.mjs'
+
+/**
+ * Stores the snapshots recorded by `this.snapshot()` within test functions. Assign a store to the `snapshotStore` property of a test or group to make it available to every test beneath.
+ *
+ * Snapshots are keyed by the names of the test and its parents from the top of its file, e.g. `file-a > parser > renders` (unchanged if the file's tree is combined with others by `Tom.combine()`), plus the number of the snapshot within the test (or the hint, if supplied). On disk, the store is a JSON file with sorted keys.
+ * @example
+ * const store = new SnapshotStore('test/snapshots.json', { update: process.env.UPDATE_SNAPSHOTS })
+ * await store.load()
+ * tom.snapshotStore = store
+ * await tom.runAll()
+ * await store.save()
+ */
+class SnapshotStore {
+  /**
+   * @param {string} [file] - The path of the snapshot file. Omit to keep snapshots in memory only.
+   * @param {object} [options]
+   * @param {boolean} [options.update] - Overwrite snapshots which do not match rather than failing.
+   * @param {boolean} [options.prune] - Remove obsolete snapshots on save. Only set after a full run: the snapshots of tests which did not run, for example due to `filter()`, `only` or `skip`, are also obsolete.
+   */
+  constructor (file, options = {}) {
+    /**
+     * The snapshot file path.
+     * @type {string}
+     */
+    this.file = file
+    /**
+     * True if in update mode.
+     * @type {boolean}
+     */
+    this.update = !!options.update
+    /**
+     * True if obsolete snapshots are removed on save.
+     * @type {boolean}
+     */
+    this.prune = !!options.prune
+    /**
+     * The stored snapshots, by key.
+     * @type {object}
+     */
+    this.snapshots = {}
+    /**
+     * The keys checked since the store was loaded.
+     * @type {Set}
+     */
+    this.checked = new Set()
+    /**
+     * Counts of snapshots `added`, `updated`, `matched` and `failed` since the store was loaded.
+     * @type {object}
+     */
+    this.stats = { added: 0, updated: 0, matched: 0, failed: 0 }
+  }
+
+  /**
+   * Read the snapshot file, if it exists.
+   * @returns {Promise}
+   */
+  async load () {
+    this.checked = new Set()
+    this.stats = { added: 0, updated: 0, matched: 0, failed: 0 }
+    if (!this.file) return
+    const fs = await import('fs')
+    try {
+      this.snapshots = JSON.parse(await fs.promises.readFile(this.file, 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        this.snapshots = {}
+      } else {
+        throw err
+      }
+    }
+  }
+
+  /**
+   * Write the snapshot file. If `prune` is set, obsolete snapshots are removed first.
+   * @returns {Promise}
+   */
+  async save () {
+    if (this.prune) {
+      for (const key of this.obsolete()) {
+        delete this.snapshots[key]
+      }
+    }
+    if (!this.file) return
+    const fs = await import('fs')
+    const sorted = {}
+    for (const key of Object.keys(this.snapshots).sort()) {
+      sorted[key] = this.snapshots[key]
+    }
+    await fs.promises.writeFile(this.file, JSON.stringify(sorted, null, 2) + '\n')
+  }
+
+  /**
+   * Returns the keys of the stored snapshots not checked since the store was loaded. After a full run, these snapshots belong to tests which no longer exist. After a narrowed run, they include the snapshots of tests which did not run.
+   * @returns {string[]}
+   */
+  obsolete () {
+    return Object.keys(this.snapshots).filter(key => !this.checked.has(key)).sort()
+  }
+
+  /**
+   * Compare a value with the stored snapshot. A new snapshot is recorded if none exists.
+   * @param {string} key - The snapshot key.
+   * @param {*} value - The value to compare.
+   * @throws {Error} A `SnapshotError` with `expected`, `actual` and `diff` properties if the value does not match the snapshot, unless in update mode.
+   */
+  match (key, value) {
+    const actual = format(value)
+    this.checked.add(key)
+    if (!(key in this.snapshots)) {
+      this.snapshots[key] = actual
+      this.stats.added++
+    } else if (this.snapshots[key] === actual) {
+      this.stats.matched++
+    } else if (this.update) {
+      this.snapshots[key] = actual
+      this.stats.updated++
+    } else {
+      this.stats.failed++
+      const expected = this.snapshots[key]
+      const changes = diff(expected, actual)
+      const err = new Error(`Snapshot mismatch: ${key}\n\n- Snapshot\n+ Received\n\n${changes}`)
+      err.name = 'SnapshotError'
+      err.expected = expected
+      err.actual = actual
+      err.diff = changes
+      throw err
+    }
+  }
+}
+
+export default SnapshotStore
@@ -0,0 +1,116 @@
+/**
+ * Live statistics for the tests beneath a node, updated as each test changes state.
+ */
+class Summary {
+  constructor () {
+    /**
+     * Number of tests which passed.
+     * @type {number}
+     */
+    this.pass = 0
+    /**
+     * Number of tests which failed.
+     * @type {number}
+     */
+    this.fail = 0
+    /**
+     * Number of tests marked `failing` which failed, as expected.
+     * @type {number}
+     */
+    this.failing = 0
+    /**
+     * Number of tests skipped.
+     * @type {number}
+     */
+    this.skipped = 0
+    /**
+     * Number of todo tests.
+     * @type {number}
+     */
+    this.todo = 0
+    /**
+     * Number of nodes ignored, usually groups and tests without a test function.
+     * @type {number}
+     */
+    this.ignored = 0
+    /**
+     * Number of tests cancelled.
+     * @type {number}
+     */
+    this.cancelled = 0
+    /**
+     * Number of tests currently in progress.
+     * @type {number}
+     */
+    this.inProgress = 0
+    /**
+     * Sum of the durations of every test which ran.
+     * @type {number}
+     */
+    this.duration = 0
+    /**
+     * The test with the longest duration.
+     * @type {module:test-object-model}
+     */
+    this.slowest = undefined
+    /**
+     * Start time of the earliest test to run.
+     * @type {number}
+     */
+    this.start = 0
+    /**
+     * End time of the latest test to end.
+     * @type {number}
+     */
+    this.end = 0
+  }
+
+  /**
+   * Wall-clock time from the start of the first test to the end of the last.
+   * @type {number}
+   */
+  get span () {
+    return this.end - this.start
+  }
+
+  /**
+   * Number of tests which have reached an end state.
+   * @type {number}
+   */
+  get total () {
+    return this.pass + this.fail + this.failing + this.skipped + this.todo + this.ignored + this.cancelled
+  }
+
+  /**
+   * Record a state change.
+   * @param {module:test-object-model} test - The test which changed state.
+   * @param {string} state - The new state.
+   * @param {string} [prevState] - The previous state.
+   */
+  update (test, state, prevState) {
+    if (prevState === 'in-progress') {
+      this.inProgress--
+    }
+    if (state === 'in-progress') {
+      this.inProgress++
+    } else if (this[state] !== undefined) {
+      this[state]++
+    }
+    /* cancelled tests may never have started */
+    if (['pass', 'fail', 'failing', 'cancelled'].includes(state) && test.stats.end) {
+      const { start, end, duration } = test.stats
+      this.duration += duration
+      if (!this.slowest || duration > this.slowest.stats.duration) {
+        this.slowest = test
+      }
+      if (!this.start || start < this.start) {
+        this.start = start
+      }
+      if (end > this.end) {
+        this.end = end
+      }
+    }
+  }
+}
+
+export default Summary
@@ -1,3 +1,6 @@
+import format from './format.mjs'
+import diff from './diff.mjs'
+
 /**
  * The test context, available as `this` within each test function.
  */
@@ -11,11 +14,219 @@ class TestContext {
      * The test index within the current set.
      */
     this.index = context.index
+    /**
+     * If the test was created by `each()`, the table row.
+     */
+    this.row = context.row
     /**
      * Test run data.
      */
     this.data = undefined
+    /**
+     * Fixtures returned by the `beforeAll` and `beforeEach` hooks of parent groups.
+     */
+    this.fixtures = context.fixtures || {}
+    /**
+     * An `AbortSignal`, aborted if the test times out or is cancelled. Use it to stop timers, requests or child processes the test started. On platforms without `AbortController` (e.g. Node.js 14), a minimal substitute supporting `aborted` and the `abort` event.
+     */
+    this.signal = context.signal
+    /**
+     * The names of this test and its parent groups, joined with `' > '`.
+     */
+    this.fullName = context.fullName || context.name
+    /**
+     * The snapshot store used by `snapshot()`, set by assigning `snapshotStore` on the test or a parent group.
+     */
+    this.snapshotStore = context.snapshotStore
+    this._snapshotName = context.snapshotName || this.fullName
+    this._snapshotCounts = {}
+    /**
+     * The number of assertions made.
+     */
+    this.assertions = 0
+    /**
+     * The number of assertions planned by `plan()`.
+     */
+    this.planned = undefined
+    this._tom = context.tom
+    this._skip = undefined
+  }
+
+  /**
+   * Stop the test and mark it as skipped, e.g. when a resource the test needs is unavailable. Throws, ending the test function.
+   * @param {string} [reason] - Why the test was skipped.
+   * @example
+   * tom.test('database', async function () {
+   *   if (!process.env.DATABASE_URL) this.skip('No database configured')
+   * })
+   */
+  skip (reason) {
+    this._skip = { reason }
+    const err = new Error(reason ? `Test skipped: ${reason}` : 'Test skipped')
+    err.name = 'SkipError'
+    throw err
   }
+
+  /**
+   * Add a test beneath the running test, e.g. one test per fixture file found at run time. Accepts the same arguments as `Tom#test()`. The added tests run once the test function has completed.
+   * @param {string} [name]
+   * @param {function} [testFn]
+   * @param {object} [options]
+   * @returns {module:test-object-model}
+   */
+  test (...args) {
+    return this._tom._addDynamic(this, 'test', args)
+  }
+
+  /**
+   * Add a group beneath the running test. Accepts the same arguments as `Tom#group()`.
+   * @param {string} [name]
+   * @param {object} [options]
+   * @returns {module:test-object-model}
+   */
+  group (...args) {
+    return this._tom._addDynamic(this, 'group', args)
+  }
+
+  /**
+   * Declare the number of assertions the test will make. If a different number is made, the test fails.
+   * @param {number} count
+   */
+  plan (count) {
+    this.planned = count
+  }
+
+  /**
+   * Add to the assertion count. Use this to count assertions made using an external assertion library.
+   * @param {number} [count] - Defaults to `1`.
+   */
+  count (count = 1) {
+    this.assertions += count
+  }
+
+  /**
+   * Returns a function which invokes `assertFn` and adds one to the assertion count.
+   * @param {function} assertFn - An assertion function from an external library.
+   * @returns {function}
+   * @example
+   * const equal = this.track(assert.equal)
+   */
+  track (assertFn) {
+    const context = this
+    return function (...args) {
+      context.count()
+      return assertFn.apply(this, args)
+    }
+  }
+
+  /**
+   * Assert `value` is truthy.
+   * @param {*} value
+   * @param {string} [message]
+   */
+  ok (value, message) {
+    this.count()
+    if (!value) {
+      throw assertionError(message || `${format(value)} is not truthy`, true, value, '==')
+    }
+  }
+
+  /**
+   * Assert `actual` and `expected` are strictly equal.
+   * @param {*} actual
+   * @param {*} expected
+   * @param {string} [message]
+   */
+  equal (actual, expected, message) {
+    this.count()
+    if (!Object.is(actual, expected)) {
+      throw assertionError(message || `Expected ${format(expected)}, received ${format(actual)}`, expected, actual, 'strictEqual')
+    }
+  }
+
+  /**
+   * Assert `actual` and `expected` are not strictly equal.
+   * @param {*} actual
+   * @param {*} expected
+   * @param {string} [message]
+   */
+  notEqual (actual, expected, message) {
+    this.count()
+    if (Object.is(actual, expected)) {
+      throw assertionError(message || `Expected a value other than ${format(expected)}`, expected, actual, 'notStrictEqual')
+    }
+  }
+
+  /**
+   * Assert `actual` and `expected` have the same structure and values.
+   * @param {*} actual
+   * @param {*} expected
+   * @param {string} [message]
+   */
+  deepEqual (actual, expected, message) {
+    this.count()
+    const expectedStr = format(expected)
+    const actualStr = format(actual)
+    if (expectedStr !== actualStr) {
+      throw assertionError(message || `Values not deeply equal\n\n- Expected\n+ Received\n\n${diff(expectedStr, actualStr)}`, expected, actual, 'deepStrictEqual')
+    }
+  }
+
+  /**
+   * Assert `fn` throws. If supplied, the exception message must match `expected`.
+   * @param {function} fn
+   * @param {RegExp} [expected]
+   * @param {string} [message]
+   */
+  throws (fn, expected, message) {
+    this.count()
+    try {
+      fn()
+    } catch (err) {
+      if (expected && !expected.test(err && err.message)) {
+        throw assertionError(message || `Exception message ${format(err && err.message)} does not match ${expected}`, expected, err, 'throws')
+      }
+      return
+    }
+    throw assertionError(message || 'Missing expected exception', expected, undefined, 'throws')
+  }
+
+  /**
+   * Fails the test if the number of assertions made does not match the plan or, if `requireAssertions` is set, no assertions were made.
+   * @param {boolean} [requireAssertions]
+   * @ignore
+   */
+  _verifyAssertions (requireAssertions) {
+    if (this.planned !== undefined && this.assertions !== this.planned) {
+      throw assertionError(`Planned ${this.planned} assertions, made ${this.assertions}`, this.planned, this.assertions, 'plan')
+    } else if (requireAssertions && this.assertions === 0) {
+      throw assertionError('No assertions made', undefined, 0, 'plan')
+    }
+  }
+
+  /**
+   * Compare a value with the snapshot stored for this test, recording a new snapshot if none exists. Call more than once to check multiple snapshots, each is numbered in call order. Throws a `SnapshotError` containing a diff if the value does not match. Each call counts as an assertion.
+   * @param {*} value - The value to compare.
+   * @param {string} [hint] - A description included in the snapshot key.
+   */
+  snapshot (value, hint) {
+    if (!this.snapshotStore) {
+      throw new Error('No snapshot store: set `snapshotStore` on the test or a parent group')
+    }
+    this.count()
+    const base = hint ? `${this._snapshotName}: ${hint}` : this._snapshotName
+    this._snapshotCounts[base] = (this._snapshotCounts[base] || 0) + 1
+    this.snapshotStore.match(`${base} ${this._snapshotCounts[base]}`, value)
+  }
+}
+
+function assertionError (message, expected, actual, operator) {
+  const err = new Error(message)
+  err.name = 'AssertionError'
+  err.expected = expected
+  err.actual = actual
+  err.operator = operator
+  return err
 }
 
 export default TestContext
@@ -0,0 +1,191 @@
+import Queue from './queue.mjs'
+import LockManager from './lock-manager.mjs'
+
+/**
+ * Executes every test in a TOM tree. Within each node, the `before` children run first, then the remaining children, then the `after` children. Each set runs with a concurrency bounded by the parent's `maxConcurrency`, or one at a time if `serial`. Tests sharing a resource named in `resources` never overlap and no more than `globalConcurrency` tests run at once across the tree. A test runs after the siblings named in `dependsOn` and is skipped if any did not pass.
+ */
+class TreeRunner {
+  /**
+   * @param {module:test-object-model} tom - The tree to run.
+   * @param {object} [options]
+   * @param {Set.<module:test-object-model>} [options.exclude] - Nodes beneath the root which should not be run.
+   */
+  constructor (tom, options = {}) {
+    /**
+     * The tree to run.
+     * @type {module:test-object-model}
+     */
+    this.tom = tom
+    this.exclude = options.exclude || new Set()
+    this.locks = new LockManager(tom._inheritedOption('globalConcurrency'))
+    /* the promise returned by runNode() for each node started */
+    this.started = new Map()
+  }
+
+  /**
+   * Run the tree.
+   * @returns {Promise}
+   * @fulfil {object} - The number of tests in each end state plus the number of groups with a failed `beforeAll` or `afterAll` hook, e.g. `{ pass: 2, fail: 1, failing: 0, skipped: 0, todo: 0, ignored: 1, cancelled: 0, hookFail: 0 }`.
+   */
+  async run () {
+    await this.runNode(this.tom)
+    return this.summary()
+  }
+
+  /**
+   * Run a node then its children, recording the run so dependent tests can wait for it.
+   * @param {module:test-object-model} tom
+   * @returns {Promise}
+   */
+  runNode (tom) {
+    const promise = this.runNodeAfterDependencies(tom)
+    this.started.set(tom, promise)
+    return promise
+  }
+
+  /**
+   * Wait for the dependencies of a node to finish, then run it. If a dependency did not pass, the node and its descendants are skipped.
+   * @param {module:test-object-model} tom
+   * @returns {Promise}
+   */
+  async runNodeAfterDependencies (tom) {
+    /* the dependencies of an isolated node were resolved in the parent thread, its siblings do not run in the worker */
+    const resolved = tom._inWorker
+    const dependencies = resolved ? [] : tom.dependencies
+    /* a dependency excluded from this run keeps its previous outcome */
+    await Promise.all(dependencies.map(dep => this.started.get(dep)))
+    const siblings = tom.parent ? tom.parent.children : []
+    const missing = !resolved && (tom.options.dependsOn || []).find(dep => !siblings.includes(dep) && !siblings.some(t => t.name === dep))
+    const failed = dependencies.find(dep => !passed(dep))
+    if (missing || failed) {
+      const reason = missing
+        ? `Dependency not found: ${missing.name || missing}`
+        : `Dependency did not pass: ${failed.name}`
+      for (const test of tom) {
+        test._dependencySkip = reason
+      }
+    }
+    /* only nodes running a test function, here or in a worker, need a lock */
+    const release = tom.testFn || tom._moduleUrl ? await this.locks.acquire(tom.resources) : () => {}
+    /* the outcome is recorded on the node, the rejection is not needed */
+    await tom.run().catch(() => {})
+    release()
+    /* an isolated group runs its children in the worker */
+    if (!tom._moduleUrl || tom._inWorker) {
+      await this.runChildren(tom)
+    }
+  }
+
+  /**
+   * Run the children of a node: `before` children first, then the main set, then `after` children. The node's `beforeAll` and `afterAll` hooks run either side, unless no test beneath the node will run. If a `beforeAll` hook fails, each test beneath the node fails with the hook error.
+   * @param {module:test-object-model} tom
+   * @returns {Promise}
+   */
+  async runChildren (tom) {
+    if (!tom.children.length) return
+    const ancestorFailed = tom.parents().some(t => t.hookError)
+    if (!this.testsWillRun(tom)) {
+      await this.runSets(tom)
+      return
+    }
+    if (tom.hooks.beforeAll.length && !ancestorFailed) {
+      Object.assign(tom.fixtures, tom._inheritedFixtures())
+      try {
+        await tom._runHooks('beforeAll', tom.hooks.beforeAll, tom, tom.fixtures)
+      } catch (err) {
+        tom.hookError = err
+      }
+    }
+    await this.runSets(tom)
+    if (tom.hooks.afterAll.length && !ancestorFailed) {
+      try {
+        await tom._runHooks('afterAll', tom.hooks.afterAll, tom, tom.fixtures)
+      } catch (err) {
+        tom.hookError = tom.hookError || err
+      }
+    }
+  }
+
+  /**
+   * Returns true if a test beneath the node, not excluded from this run, is expected to run its test function.
+   * @param {module:test-object-model} tom
+   * @returns {boolean}
+   */
+  testsWillRun (tom) {
+    return Array.from(tom).some(test => {
+      if (test === tom || !test.testFn) return false
+      const lineage = [test, ...test.parents()]
+      const excluded = lineage.slice(0, lineage.indexOf(tom)).some(t => this.exclude.has(t))
+      return !excluded && !willSkip(test)
+    })
+  }
+
+  /**
+   * Run the `before`, main and `after` sets of children in turn.
+   * @param {module:test-object-model} tom
+   * @returns {Promise}
+   */
+  async runSets (tom) {
+    const children = tom.children.filter(t => !this.exclude.has(t))
+    const sets = [
+      children.filter(t => t.options.before),
+      children.filter(t => !(t.options.before || t.options.after)),
+      children.filter(t => t.options.after)
+    ]
+    for (const set of sets) {
+      const jobs = orderByDependencies(set).map(child => () => this.runNode(child))
+      const options = tom.effectiveOptions
+      const queue = new Queue(jobs, options.serial ? 1 : options.maxConcurrency)
+      await queue.process()
+    }
+  }
+
+  /**
+   * Count the tests in each end state and the groups with a failed `beforeAll` or `afterAll` hook.
+   * @returns {object}
+   */
+  summary () {
+    const summary = { pass: 0, fail: 0, failing: 0, skipped: 0, todo: 0, ignored: 0, cancelled: 0, hookFail: 0 }
+    for (const test of this.tom) {
+      if (summary[test.state] !== undefined) {
+        summary[test.state]++
+      }
+      if (test.hookError) {
+        summary.hookFail++
+      }
+    }
+    return summary
+  }
+}
+
+/* a group passes if no test beneath it failed */
+function passed (tom) {
+  if (tom.testFn) {
+    return tom.state === 'pass'
+  } else {
+    return !Array.from(tom).some(t => ['fail', 'cancelled'].includes(t.state))
+  }
+}
+
+/* true if a test will be skipped or is todo, a skip predicate which throws fails the test so it runs */
+function willSkip (test) {
+  try {
+    return test.toSkip || !!test.effectiveOptions.todo
+  } catch (err) {
+    return false
+  }
+}
+
+/* order a set of siblings so each test follows its dependencies, otherwise keeping the original order */
+function orderByDependencies (tests) {
+  const remaining = tests.slice()
+  const ordered = []
+  while (remaining.length) {
+    const next = remaining.find(t => t.dependencies.every(dep => !remaining.includes(dep))) || remaining[0]
+    ordered.push(next)
+    remaining.splice(remaining.indexOf(next), 1)
+  }
+  return ordered
+}
+
+export default TreeRunner
@@ -0,0 +1,104 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import sleep from 'sleep-anywhere/index.mjs'
+import createAbortController from '../lib/abort-controller.mjs'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('abort(): in-progress test is cancelled and its signal aborted', async function () {
+    const actuals = []
+    const test = new Test('one', async function () {
+      this.signal.addEventListener('abort', () => actuals.push('aborted'))
+      await sleep(200)
+    })
+    test.on('cancelled', (t, err) => actuals.push(['cancelled', err.name]))
+    test.on('end', () => actuals.push('end'))
+    const promise = test.run()
+    await sleep(20)
+    test.abort()
+    try {
+      await promise
+      throw new Error('should not reach here')
+    } catch (err) {
+      a.equal(err.name, 'AbortError')
+    }
+    a.equal(test.state, 'cancelled')
+    a.equal(test.ended, true)
+    a.deepEqual(actuals, ['aborted', ['cancelled', 'AbortError'], 'end'])
+  })
+
+  tom.test('abort(): pending tests beneath a group are not run', async function () {
+    const actuals = []
+    const root = new Test('root', { maxConcurrency: 1 })
+    root.test('one', async () => {
+      actuals.push('one')
+      await sleep(50)
+    })
+    const two = root.test('two', () => { actuals.push('two') })
+    const promise = root.runAll()
+    await sleep(20)
+    root.abort()
+    const summary = await promise
+    a.deepEqual(actuals, ['one'])
+    a.equal(two.state, 'cancelled')
+    a.equal(summary.cancelled, 2)
+  })
+
+  tom.test('timeout: signal aborted, test fails', async function () {
+    const actuals = []
+    const test = new Test('one', async function () {
+      this.signal.addEventListener('abort', () => actuals.push('aborted'))
+      await sleep(100)
+    }, { timeout: 20 })
+    try {
+      await test.run()
+      throw new Error('should not reach here')
+    } catch (err) {
+      a.ok(/Timeout expired/.test(err.message))
+    }
+    a.equal(test.state, 'fail')
+    a.deepEqual(actuals, ['aborted'])
+  })
+
+  tom.test('signal not aborted when the test completes', async function () {
+    const test = new Test('one', async function () {
+      await sleep(10)
+    }, { timeout: 30 })
+    await test.run()
+    await sleep(50)
+    a.equal(test.context.signal.aborted, false)
+  })
+
+  tom.test('createAbortController(): substitute where AbortController is unavailable', async function () {
+    const actuals = []
+    const original = globalThis.AbortController
+    let controller
+    try {
+      globalThis.AbortController = undefined
+      controller = createAbortController()
+    } finally {
+      globalThis.AbortController = original
+    }
+    controller.signal.addEventListener('abort', () => actuals.push('aborted'))
+    a.equal(controller.signal.aborted, false)
+    controller.abort()
+    controller.abort()
+    a.equal(controller.signal.aborted, true)
+    a.deepEqual(actuals, ['aborted'])
+  })
+
+  tom.test('an attempt which cannot start fails the test', async function () {
+    const test = new Test('one', () => 1)
+    test._snapshotStore = () => { throw new Error('broken') }
+    await test.run().catch(() => {})
+    a.equal(test.state, 'fail')
+    a.equal(test.result.message, 'broken')
+  })
+
+  return tom
+}
+
+export default start()
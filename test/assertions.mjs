@@ -0,0 +1,102 @@
+import Test from '../index.mjs'
+import SnapshotStore from '../lib/snapshot-store.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('plan(): met', async function () {
+    const test = new Test('one', async function () {
+      this.plan(2)
+      this.ok(true)
+      await Promise.resolve()
+      this.equal(1, 1)
+    })
+    await test.run()
+    a.equal(test.state, 'pass')
+    a.equal(test.context.assertions, 2)
+  })
+
+  tom.test('plan(): not met', async function () {
+    const test = new Test('one', function () {
+      this.plan(2)
+      this.ok(true)
+    })
+    await a.rejects(() => test.run(), /Planned 2 assertions, made 1/)
+    a.equal(test.state, 'fail')
+    a.equal(test.result.name, 'AssertionError')
+  })
+
+  tom.test('requireAssertions', async function () {
+    const one = new Test('one', () => 1, { requireAssertions: true })
+    await a.rejects(() => one.run(), /No assertions made/)
+    const two = new Test('two', function () { this.ok(1) }, { requireAssertions: true })
+    await two.run()
+    a.equal(two.state, 'pass')
+  })
+
+  tom.test('built-in assertions', async function () {
+    const test = new Test('one', function () {
+      this.ok(1)
+      this.equal(NaN, NaN)
+      this.notEqual(1, 2)
+      this.deepEqual({ a: [1] }, { a: [1] })
+      this.throws(() => { throw new Error('broken') }, /broken/)
+    })
+    await test.run()
+    a.equal(test.context.assertions, 5)
+  })
+
+  tom.test('built-in assertions: failures', async function () {
+    const context = new Test('one', () => 1)
+    await context.run()
+    const t = context.context
+    a.throws(() => t.ok(0), /0 is not truthy/)
+    a.throws(() => t.equal(1, 2, 'custom'), /custom/)
+    a.throws(() => t.throws(() => 1), /Missing expected exception/)
+    try {
+      t.deepEqual({ a: 1, b: 2 }, { a: 1, b: 3 })
+      throw new Error('should not reach here')
+    } catch (err) {
+      a.equal(err.name, 'AssertionError')
+      a.deepEqual(err.expected, { a: 1, b: 3 })
+      a.ok(err.message.includes('-   "b": 3,\n+   "b": 2,'))
+    }
+    a.equal(t.assertions, 4)
+  })
+
+  tom.test('snapshot() counts as an assertion', async function () {
+    const root = new Test('root', { requireAssertions: true })
+    root.snapshotStore = new SnapshotStore()
+    const one = root.test('one', function () {
+      this.plan(1)
+      this.snapshot({ a: 1 })
+    })
+    const two = root.test('two', function () {
+      this.snapshot('two')
+    })
+    await root.runAll()
+    a.equal(one.state, 'pass')
+    a.equal(one.context.assertions, 1)
+    a.equal(two.state, 'pass')
+  })
+
+  tom.test('count() and track() for external libraries', async function () {
+    const test = new Test('one', function () {
+      this.plan(3)
+      const equal = this.track(a.equal)
+      equal(1, 1)
+      equal(2, 2)
+      a.ok(true)
+      this.count()
+    })
+    await test.run()
+    a.equal(test.state, 'pass')
+  })
+
+  return tom
+}
+
+export default start()
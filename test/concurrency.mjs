@@ -0,0 +1,99 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import sleep from 'sleep-anywhere/index.mjs'
+import LockManager from '../lib/lock-manager.mjs'
+
+/* returns a test function recording the max number of overlapping invocations per key */
+function tracker () {
+  const running = {}
+  const max = {}
+  return {
+    max,
+    testFn (...keys) {
+      return async function () {
+        for (const key of keys) {
+          running[key] = (running[key] || 0) + 1
+          max[key] = Math.max(max[key] || 0, running[key])
+        }
+        await sleep(20)
+        for (const key of keys) {
+          running[key]--
+        }
+      }
+    }
+  }
+}
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('serial: tests beneath the group run one at a time', async function () {
+    const { max, testFn } = tracker()
+    const root = new Test('root')
+    const serial = root.group('serial', { serial: true })
+    serial.test('one', testFn('serial'))
+    serial.test('two', testFn('serial'))
+    const nested = serial.group('nested')
+    nested.test('three', testFn('serial'))
+    nested.test('four', testFn('serial'))
+    const parallel = root.group('parallel')
+    parallel.test('five', testFn('parallel'))
+    parallel.test('six', testFn('parallel'))
+    await root.runAll()
+    a.equal(max.serial, 1)
+    a.equal(max.parallel, 2)
+    a.equal(nested.effectiveOptions.serial, true)
+  })
+
+  tom.test('resources: tests sharing a resource never overlap', async function () {
+    const { max, testFn } = tracker()
+    const root = new Test('root')
+    const db = root.group('db', { resources: ['db'] })
+    db.test('one', testFn('db', 'all'))
+    db.test('two', testFn('db', 'all'))
+    root.test('three', testFn('db', 'all'), { resources: ['db', 'cache'] })
+    root.test('four', testFn('cache', 'all'), { resources: ['cache'] })
+    root.test('five', testFn('all'))
+    await root.runAll()
+    a.equal(max.db, 1)
+    a.equal(max.cache, 1)
+    a.ok(max.all > 1)
+    a.deepEqual(db.children[0].resources, ['db'])
+  })
+
+  tom.test('globalConcurrency: caps running tests across the tree', async function () {
+    const { max, testFn } = tracker()
+    const root = new Test('root', { globalConcurrency: 2 })
+    for (const name of ['a', 'b', 'c']) {
+      const group = root.group(name)
+      group.test('one', testFn('all'))
+      group.test('two', testFn('all'))
+    }
+    const result = await root.runAll()
+    a.equal(result.pass, 6)
+    a.equal(max.all, 2)
+  })
+
+  tom.test('LockManager: a blocked request does not block others', async function () {
+    const locks = new LockManager()
+    const actuals = []
+    const release = await locks.acquire(['db'])
+    const blocked = locks.acquire(['db']).then(release => {
+      actuals.push('db')
+      release()
+    })
+    await locks.acquire(['cache']).then(release => {
+      actuals.push('cache')
+      release()
+    })
+    release()
+    await blocked
+    a.deepEqual(actuals, ['cache', 'db'])
+  })
+
+  return tom
+}
+
+export default start()
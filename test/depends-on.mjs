@@ -0,0 +1,86 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import sleep from 'sleep-anywhere/index.mjs'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('dependsOn: dependencies run first', async function () {
+    const actuals = []
+    const root = new Test('root')
+    root.test('delete account', () => actuals.push('delete'), { dependsOn: ['create account'] })
+    const create = root.test('create account', async () => {
+      await sleep(20)
+      actuals.push('create')
+    })
+    root.test('update account', () => actuals.push('update'), { dependsOn: [create] })
+    root.test('other', () => actuals.push('other'))
+    await root.runAll()
+    a.equal(actuals.indexOf('create'), actuals.length - 3)
+    a.ok(actuals.indexOf('delete') > actuals.indexOf('create'))
+    a.ok(actuals.indexOf('update') > actuals.indexOf('create'))
+    a.ok(actuals.indexOf('other') < actuals.indexOf('create'))
+  })
+
+  tom.test('dependsOn: serial group with a later dependency does not deadlock', async function () {
+    const actuals = []
+    const root = new Test('root', { serial: true })
+    root.test('two', () => actuals.push('two'), { dependsOn: ['one'] })
+    root.test('one', () => actuals.push('one'))
+    await root.runAll()
+    a.deepEqual(actuals, ['one', 'two'])
+  })
+
+  tom.test('dependsOn: dependents skipped with a reason if a dependency fails', async function () {
+    const actuals = []
+    const root = new Test('root')
+    root.test('create', () => {
+      throw new Error('broken')
+    })
+    const group = root.group('group', { dependsOn: ['create'] })
+    const one = group.test('one', () => 1)
+    const two = root.test('two', () => 2, { dependsOn: ['create'] })
+    const three = root.test('three', () => 3, { dependsOn: ['missing'] })
+    root.on('skipped', (test, reason) => actuals.push([test.name, reason]))
+    await root.runAll()
+    a.equal(one.state, 'skipped')
+    a.equal(one.skipReason, 'Dependency did not pass: create')
+    a.equal(two.skipReason, 'Dependency did not pass: create')
+    a.equal(three.skipReason, 'Dependency not found: missing')
+    a.equal(actuals.length, 3)
+    root.reset(true)
+    a.equal(two.skipReason, undefined)
+  })
+
+  tom.test('dependsOn: invalid dependencies rejected at definition time', async function () {
+    const root = new Test('root')
+    root.test('one', () => 1, { dependsOn: ['two'] })
+    a.throws(() => root.test('two', () => 2, { dependsOn: ['one'] }), /Circular dependency: two > one > two/)
+    a.equal(root.children.length, 1)
+    const other = new Test('other')
+    const elsewhere = other.test('elsewhere', () => 1)
+    a.throws(() => root.test('three', () => 3, { dependsOn: [elsewhere] }), /must be a sibling/)
+    const last = root.after('last', () => 1)
+    a.throws(() => root.test('four', () => 4, { dependsOn: [last] }), /runs too late/)
+  })
+
+  tom.test('dependsOn: dependency graph and serialisation', async function () {
+    const root = new Test('root')
+    const one = root.test('one', () => 1)
+    const two = root.test('two', () => 2, { dependsOn: [one] })
+    const group = root.group('group')
+    const three = group.test('three', () => 3)
+    const four = group.test('four', () => 4, { dependsOn: ['three'] })
+    a.deepEqual(two.dependencies, [one])
+    a.deepEqual(one.dependents, [two])
+    a.deepEqual(Array.from(root.dependencyGraph()), [[two, [one]], [four, [three]]])
+    const json = JSON.parse(JSON.stringify(root))
+    a.deepEqual(json.children[1].options.dependsOn, ['one'])
+  })
+
+  return tom
+}
+
+export default start()
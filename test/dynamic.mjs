@@ -0,0 +1,98 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('dynamic: tests added at run time run after the test function', async function () {
+    const actuals = []
+    const root = new Test('root', { maxConcurrency: 1 })
+    const parent = root.test('parent', async function () {
+      for (const file of ['a.json', 'b.json']) {
+        this.test(file, () => actuals.push(file))
+      }
+      const group = this.group('group')
+      group.test('c', () => actuals.push('c'))
+      actuals.push('parent')
+    })
+    await root.runAll()
+    a.deepEqual(actuals, ['parent', 'a.json', 'b.json', 'c'])
+    a.deepEqual(parent.children.map(t => t.name), ['a.json', 'b.json', 'group'])
+    a.deepEqual(parent.children.map(t => t.index), [1, 2, 3])
+    a.equal(parent.type, 'test')
+    a.equal(parent.children[2].type, 'group')
+    a.equal(root.summary.pass, 4)
+  })
+
+  tom.test('dynamic: duplicate names rejected', async function () {
+    const root = new Test('root')
+    const parent = root.test('parent', function () {
+      this.test('one', () => 1)
+      this.test('one', () => 1)
+    })
+    await root.runAll()
+    a.equal(parent.state, 'fail')
+    a.equal(parent.result.message, 'Duplicate name: one')
+  })
+
+  tom.test('dynamic: only applied', async function () {
+    const root = new Test('root')
+    root.test('parent', function () {
+      this.test('one', () => 1)
+      this.test('two', () => 2, { only: true })
+    })
+    await root.runAll()
+    a.equal(root.children[0].children[0].state, 'skipped')
+    a.equal(root.children[0].children[1].state, 'pass')
+  })
+
+  tom.test('dynamic: cannot add once the test function has completed', async function () {
+    const root = new Test('root')
+    let context
+    root.test('parent', function () {
+      context = this
+    })
+    await root.runAll()
+    a.throws(() => context.test('late', () => 1), /only be added while the test function is running/)
+  })
+
+  tom.test('dynamic: children replaced on retry and reset', async function () {
+    let attempt = 0
+    const root = new Test('root')
+    const parent = root.test('parent', function () {
+      this.test('one', () => 1)
+      if (++attempt === 1) throw new Error('flaky')
+    }, { retries: 1 })
+    await root.runAll()
+    a.equal(parent.state, 'pass')
+    a.equal(parent.children.length, 1)
+    root.reset(true)
+    a.equal(parent.children.length, 0)
+    await root.runAll()
+    a.equal(parent.children.length, 1)
+    a.equal(parent.children[0].state, 'pass')
+  })
+
+  tom.test('dynamic: rerun of a failed dynamic test', async function () {
+    let fixed = false
+    const root = new Test('root')
+    const parent = root.test('parent', function () {
+      this.test('one', () => 1)
+      this.test('two', () => {
+        if (!fixed) throw new Error('broken')
+      })
+    })
+    await root.runAll()
+    a.equal(root.summary.fail, 1)
+    fixed = true
+    const result = await root.rerun()
+    a.equal(result.pass, 3)
+    a.deepEqual(parent.children.map(t => t.state), ['pass', 'pass'])
+  })
+
+  return tom
+}
+
+export default start()
@@ -0,0 +1,72 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('each(): array rows', async function () {
+    const actuals = []
+    const root = new Test('root')
+    const tests = root.each([[1, 1, 2], [2, 2, 4]])('%s + %s = %d', function (a, b, expected) {
+      actuals.push([a, b, expected, this.row])
+      return a + b === expected
+    })
+    a.deepEqual(tests.map(t => t.name), ['1 + 1 = 2', '2 + 2 = 4'])
+    a.deepEqual(tests.map(t => t.row), [[1, 1, 2], [2, 2, 4]])
+    a.deepEqual(tests.map(t => t.index), [1, 2])
+    await root.runAll()
+    a.deepEqual(actuals, [[1, 1, 2, [1, 1, 2]], [2, 2, 4, [2, 2, 4]]])
+    a.deepEqual(tests.map(t => t.result), [true, true])
+  })
+
+  tom.test('each(): object rows', async function () {
+    const actuals = []
+    const root = new Test('root')
+    const tests = root.each([
+      { input: 'a', expected: { value: 'A' } },
+      { input: 'b', expected: { value: 'B' } }
+    ])('$#: $input becomes $expected.value', function (row) {
+      actuals.push(row.input, this.row.expected.value)
+    })
+    a.deepEqual(tests.map(t => t.name), ['0: a becomes A', '1: b becomes B'])
+    await root.runAll()
+    a.deepEqual(actuals, ['a', 'A', 'b', 'B'])
+  })
+
+  tom.test('each(): primitive rows, %j and %%', async function () {
+    const root = new Test('root')
+    const tests = root.each(['one', 2])('%j is 100%%', () => 1)
+    a.deepEqual(tests.map(t => t.name), ['"one" is 100%', '2 is 100%'])
+  })
+
+  tom.test('each(): failing row is identifiable', async function () {
+    const root = new Test('root')
+    const tests = root.each([[1], [2]])('value %s', function (value) {
+      if (value === 2) throw new Error('broken')
+    }, { timeout: 500 })
+    await root.runAll()
+    const failed = tests.find(t => t.state === 'fail')
+    a.deepEqual(failed.row, [2])
+    a.equal(failed.options.timeout, 500)
+    a.deepEqual(Test.fromJSON(root.toJSON()).children[1].row, [2])
+  })
+
+  tom.test('each(): duplicate names still throw', async function () {
+    const root = new Test('root')
+    a.throws(() => root.each([1, 2])('same name', () => 1), /Duplicate name/)
+    a.equal(root.children.length, 0)
+  })
+
+  tom.test('each(): a name clashing with an existing test adds no rows', async function () {
+    const root = new Test('root')
+    root.test('add 2', () => 2)
+    a.throws(() => root.each([1, 2, 3])('add %s', () => 1), /Duplicate name: add 2/)
+    a.deepEqual(root.children.map(t => t.name), ['add 2'])
+  })
+
+  return tom
+}
+
+export default start()
@@ -0,0 +1,139 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import sleep from 'sleep-anywhere/index.mjs'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('events(): yields typed records for the subtree, ending on complete', async function () {
+    const root = new Test('root')
+    const group = root.group('group')
+    const one = group.test('one', async () => {
+      await sleep(10)
+      return 1
+    })
+    const two = group.test('two', () => { throw new Error('broken') })
+    const events = []
+    const iteration = (async () => {
+      for await (const event of root.events()) {
+        events.push(event)
+      }
+    })()
+    const summary = await root.runAll()
+    await iteration
+    a.deepEqual(events.map(e => [e.type, e.test.name]), [
+      ['ignored', 'root'],
+      ['ignored', 'group'],
+      ['in-progress', 'one'],
+      ['in-progress', 'two'],
+      ['fail', 'two'],
+      ['end', 'two'],
+      ['pass', 'one'],
+      ['end', 'one'],
+      ['complete', 'root']
+    ])
+    const pass = events.find(e => e.type === 'pass')
+    a.equal(pass.test, one)
+    a.deepEqual(pass.path, ['group', 'one'])
+    a.deepEqual(pass.data, [1])
+    a.equal(typeof pass.timestamp, 'number')
+    a.equal(events.find(e => e.type === 'fail').data[0], two.result)
+    a.deepEqual(events[events.length - 1].data, [summary])
+    a.equal(root._eventSubscribers.size, 0)
+  })
+
+  tom.test('events(): late subscribers receive a replay', async function () {
+    const root = new Test('root')
+    root.test('one', () => 1)
+    root.test('two', () => 2, { skip: 'Not ready' })
+    await root.runAll()
+    const events = []
+    for await (const event of root.events()) {
+      events.push(event)
+    }
+    a.deepEqual(events.map(e => e.type), ['ignored', 'in-progress', 'skipped', 'pass', 'end', 'complete'])
+    a.deepEqual(events[2].data, ['Not ready'])
+  })
+
+  tom.test('events(): subtree only, ended by a run of a parent', async function () {
+    const root = new Test('root')
+    const group1 = root.group('group1')
+    group1.test('one', () => 1)
+    const group2 = root.group('group2')
+    group2.test('two', () => 2)
+    const events = []
+    const iteration = (async () => {
+      for await (const event of group2.events()) {
+        events.push(event)
+      }
+    })()
+    await root.runAll()
+    await iteration
+    a.deepEqual(events.map(e => [e.type, e.test.name]), [
+      ['ignored', 'group2'],
+      ['in-progress', 'two'],
+      ['pass', 'two'],
+      ['end', 'two'],
+      ['complete', 'root']
+    ])
+  })
+
+  tom.test('events(): ends when every node has run, if not run by runAll()', async function () {
+    const root = new Test('root')
+    const group = root.group('group')
+    group.test('one', async () => {
+      await sleep(10)
+      return 1
+    })
+    group.test('two', () => 2)
+    const events = []
+    const iteration = (async () => {
+      for await (const event of root.events()) {
+        events.push([event.type, event.test.name])
+      }
+    })()
+    for (const test of root) {
+      await test.run()
+    }
+    await iteration
+    a.deepEqual(events, [
+      ['ignored', 'root'],
+      ['ignored', 'group'],
+      ['in-progress', 'one'],
+      ['pass', 'one'],
+      ['end', 'one'],
+      ['in-progress', 'two'],
+      ['pass', 'two'],
+      ['end', 'two']
+    ])
+    a.equal(root._eventSubscribers.size, 0)
+  })
+
+  tom.test('events(): break removes the subscriber, reset clears the replay', async function () {
+    const root = new Test('root')
+    root.test('one', () => 1)
+    await root.runAll()
+    const iterator = root.events()[Symbol.asyncIterator]()
+    const { value } = await iterator.next()
+    a.equal(value.type, 'ignored')
+    a.equal(root._eventSubscribers.size, 1)
+    await iterator.return()
+    a.equal(root._eventSubscribers.size, 0)
+    root.reset(true)
+    const events = []
+    const iteration = (async () => {
+      for await (const event of root.events()) {
+        events.push(event.type)
+      }
+    })()
+    await root.runAll()
+    await iteration
+    a.deepEqual(events, ['ignored', 'in-progress', 'pass', 'end', 'complete'])
+  })
+
+  return tom
+}
+
+export default start()
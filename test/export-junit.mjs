@@ -0,0 +1,90 @@
+import Test from '../index.mjs'
+import exportJUnit from '../lib/export-junit.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('junit: document', async function () {
+    const root = new Test('root')
+    root.test('one', () => 1)
+    const group = root.group('group')
+    group.test('two <2>', () => {
+      const err = new Error('expected "a" & got "b"')
+      err.stack = 'Error: broken\n    at two'
+      throw err
+    })
+    group.skip('three', () => 3)
+    const nested = group.group('nested')
+    nested.todo('four')
+    await root.runAll()
+    const xml = exportJUnit(root, { timings: false })
+    a.equal(xml, [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<testsuites name="root" tests="4" failures="1" errors="0" skipped="2">',
+      '  <testsuite name="root" tests="1" failures="0" errors="0" skipped="0">',
+      '    <testcase name="one" classname="root"/>',
+      '  </testsuite>',
+      '  <testsuite name="root &gt; group" tests="2" failures="1" errors="0" skipped="1">',
+      '    <testcase name="two &lt;2&gt;" classname="root &gt; group">',
+      '      <failure message="expected &quot;a&quot; &amp; got &quot;b&quot;" type="Error">Error: broken\n    at two</failure>',
+      '    </testcase>',
+      '    <testcase name="three" classname="root &gt; group">',
+      '      <skipped message="skipped"/>',
+      '    </testcase>',
+      '  </testsuite>',
+      '  <testsuite name="root &gt; group &gt; nested" tests="1" failures="0" errors="0" skipped="1">',
+      '    <testcase name="four" classname="root &gt; group &gt; nested">',
+      '      <skipped message="todo"/>',
+      '    </testcase>',
+      '  </testsuite>',
+      '</testsuites>',
+      ''
+    ].join('\n'))
+  })
+
+  tom.test('junit: suites and cases chosen by type, empty groups omitted', async function () {
+    const root = new Test('root')
+    root.group('empty')
+    const group = root.group('group')
+    group.test('one', () => 1)
+    await root.runAll()
+    const xml = exportJUnit(root, { timings: false })
+    a.equal(xml, [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<testsuites name="root" tests="1" failures="0" errors="0" skipped="0">',
+      '  <testsuite name="root &gt; group" tests="1" failures="0" errors="0" skipped="0">',
+      '    <testcase name="one" classname="root &gt; group"/>',
+      '  </testsuite>',
+      '</testsuites>',
+      ''
+    ].join('\n'))
+  })
+
+  tom.test('junit: line breaks and tabs preserved in attribute values', async function () {
+    const root = new Test('root')
+    root.test('one', () => {
+      const err = new Error('expected:\n\t1\r\nactual:\n\t2')
+      err.stack = 'Error: broken\n    at one'
+      throw err
+    })
+    await root.runAll()
+    const xml = exportJUnit(root, { timings: false })
+    a.ok(xml.includes('<failure message="expected:&#10;&#9;1&#13;&#10;actual:&#10;&#9;2" type="Error">Error: broken\n    at one</failure>'))
+  })
+
+  tom.test('junit: timings', async function () {
+    const root = new Test('root')
+    root.test('one', () => new Promise(resolve => setTimeout(resolve, 20)))
+    await root.runAll()
+    const xml = exportJUnit(root)
+    a.ok(/<testcase name="one" classname="root" time="0\.0[2-9]\d"\/>/.test(xml))
+    a.ok(/<testsuites name="root" tests="1" failures="0" errors="0" skipped="0" time="0\.0[2-9]\d">/.test(xml))
+  })
+
+  return tom
+}
+
+export default start()
@@ -0,0 +1,81 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import TapReporter from '../lib/reporter-tap.mjs'
+import exportJUnit from '../lib/export-junit.mjs'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('failing(): an expected failure ends in the failing state', async function () {
+    const actuals = []
+    const root = new Test('root')
+    const one = root.failing('one', () => {
+      throw new Error('known bug')
+    })
+    const two = root.failing('two', async () => {
+      throw new Error('known async bug')
+    })
+    root.on('failing', (test, err) => actuals.push([test.name, err.message]))
+    const result = await root.runAll()
+    a.equal(one.state, 'failing')
+    a.equal(one.ended, true)
+    a.equal(one.result.message, 'known bug')
+    a.equal(two.state, 'failing')
+    a.deepEqual(actuals, [['one', 'known bug'], ['two', 'known async bug']])
+    a.equal(result.failing, 2)
+    a.equal(result.fail, 0)
+    a.equal(root.summary.failing, 2)
+  })
+
+  tom.test('failing(): passing unexpectedly fails the test', async function () {
+    const test = new Test('one', () => 1, { failing: true })
+    await a.rejects(() => test.run(), /Fixed\? Remove \.failing/)
+    a.equal(test.state, 'fail')
+    a.equal(test.result.name, 'UnexpectedPassError')
+    a.equal(test.result.result, 1)
+  })
+
+  tom.test('failing(): not retried, hook failures still fail', async function () {
+    let count = 0
+    const root = new Test('root')
+    const one = root.failing('one', () => {
+      count++
+      throw new Error('known bug')
+    }, { retries: 2 })
+    const group = root.group('group')
+    group.beforeAll(() => {
+      throw new Error('hook broken')
+    })
+    const two = group.failing('two', () => {
+      throw new Error('known bug')
+    })
+    await root.runAll()
+    a.equal(count, 1)
+    a.equal(one.state, 'failing')
+    a.equal(two.state, 'fail')
+  })
+
+  tom.test('failing(): serialised and reported', async function () {
+    const root = new Test('root')
+    root.failing('one', () => {
+      throw new Error('known bug')
+    })
+    const lines = []
+    const reporter = new TapReporter(root, { write: line => lines.push(line) })
+    await root.runAll()
+    a.equal(reporter.ended, true)
+    a.ok(lines.includes('not ok 1 - one # TODO expected failure'))
+    a.ok(lines.includes('  message: "known bug"'))
+    const copy = Test.fromJSON(JSON.stringify(root))
+    a.equal(copy.children[0].state, 'failing')
+    a.equal(copy.children[0].result.message, 'known bug')
+    const xml = exportJUnit(root, { timings: false })
+    a.ok(xml.includes('<testcase name="one" classname="root"/>'))
+  })
+
+  return tom
+}
+
+export default start()
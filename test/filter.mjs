@@ -0,0 +1,97 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+function createTree () {
+  const root = new Test('root')
+  const parser = root.group('Parser')
+  const numbers = parser.group('numbers')
+  numbers.test('negative', () => -1)
+  numbers.test('positive', () => 1)
+  parser.test('strings', () => 'a', { tags: ['slow'] })
+  root.test('Lexer', () => 1)
+  return root
+}
+
+function enabled (root) {
+  return Array.from(root).filter(t => !t.disabledByFilter).map(t => t.name)
+}
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('fullName and path', async function () {
+    const root = createTree()
+    const negative = root.children[0].children[0].children[0]
+    a.deepEqual(negative.path, ['Parser', 'numbers', 'negative'])
+    a.equal(negative.fullName, 'Parser > numbers > negative')
+    a.equal(root.fullName, 'root')
+  })
+
+  tom.test('filter(): grep', async function () {
+    const root = createTree()
+    const result = root.filter({ grep: 'numbers > neg' })
+    a.deepEqual(enabled(root), ['root', 'Parser', 'numbers', 'negative'])
+    a.deepEqual(result.map(t => t.name), ['negative'])
+  })
+
+  tom.test('filter(): grep regexp selects a whole group', async function () {
+    const root = createTree()
+    root.filter({ grep: /numbers/ })
+    a.deepEqual(enabled(root), ['root', 'Parser', 'numbers', 'negative', 'positive'])
+  })
+
+  tom.test('filter(): exclude', async function () {
+    const root = createTree()
+    root.filter({ exclude: 'numbers' })
+    a.deepEqual(enabled(root), ['root', 'Parser', 'strings', 'Lexer'])
+  })
+
+  tom.test('filter(): tags', async function () {
+    const root = createTree()
+    root.filter({ tags: ['slow'] })
+    a.deepEqual(enabled(root), ['root', 'Parser', 'strings'])
+  })
+
+  tom.test('filter(): path', async function () {
+    const root = createTree()
+    root.filter({ path: 'Parser > numbers' })
+    a.deepEqual(enabled(root), ['root', 'Parser', 'numbers', 'negative', 'positive'])
+    root.filter({ path: ['numbers', 'positive'] })
+    a.deepEqual(enabled(root), ['root', 'Parser', 'numbers', 'positive'])
+  })
+
+  tom.test('filter(): no criteria enables everything', async function () {
+    const root = createTree()
+    root.filter({ grep: 'Lexer' })
+    root.filter()
+    a.equal(enabled(root).length, 7)
+  })
+
+  tom.test('filter(): disabled tests are skipped, distinct from only', async function () {
+    const root = createTree()
+    root.filter({ grep: 'Lexer' })
+    const negative = root.children[0].children[0].children[0]
+    a.equal(negative.disabledByFilter, true)
+    a.equal(negative.disabledByOnly, false)
+    a.equal(negative.toSkip, true)
+    const summary = await root.runAll()
+    a.equal(summary.pass, 1)
+    a.equal(summary.skipped, 3)
+  })
+
+  tom.test('filter(): combined trees', async function () {
+    const one = new Test('one.mjs')
+    one.test('a', () => 1)
+    const two = new Test('two.mjs')
+    two.test('a', () => 1)
+    const root = Test.combine([one, two], 'package')
+    root.filter({ grep: 'two.mjs > a' })
+    a.deepEqual(enabled(root), ['package', 'two.mjs', 'a'])
+  })
+
+  return tom
+}
+
+export default start()
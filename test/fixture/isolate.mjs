@@ -0,0 +1,58 @@
+import Tom from '../../index.mjs'
+import { isMainThread } from 'worker_threads'
+
+const tom = new Tom('isolate fixture', { maxConcurrency: 1 })
+
+tom.test('isolated', function () {
+  globalThis.isolateFixture = true
+  return isMainThread
+}, { isolate: true })
+
+tom.test('not isolated', function () {
+  return isMainThread
+})
+
+const group = tom.group('group', { isolate: true })
+group.test('one', () => isMainThread)
+group.test('two', () => {
+  throw new Error('broken')
+})
+group.test('slow', () => new Promise(resolve => setTimeout(resolve, 30)), { slow: 10 })
+group.test('dynamic', function () {
+  this.test('child', () => isMainThread)
+})
+group.test('excluded', () => isMainThread)
+
+tom.test('exits', function () {
+  process.exit(1)
+}, { isolate: true })
+
+tom.test('hangs', function () {
+  return new Promise(resolve => setTimeout(resolve, 5000))
+}, { isolate: true })
+
+tom.test('leaks a timer', function () {
+  setInterval(() => {}, 1000)
+  return isMainThread
+}, { isolate: true, timeout: 100 })
+
+tom.test('returns a function', function () {
+  return { value: 1, fn () {}, symbol: Symbol('symbol') }
+}, { isolate: true })
+
+tom.test('throws an error with a function', function () {
+  const err = new Error('boom')
+  err.retry = () => {}
+  err.code = 'E_BOOM'
+  throw err
+}, { isolate: true })
+
+const dependencies = tom.group('dependencies')
+dependencies.test('dep', () => 1)
+dependencies.test('dependent', () => isMainThread, { isolate: true, dependsOn: ['dep'] })
+dependencies.test('broken', () => {
+  throw new Error('broken')
+})
+dependencies.test('blocked', () => isMainThread, { isolate: true, dependsOn: ['broken'] })
+
+export default tom
@@ -0,0 +1,128 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('hooks: order', async function () {
+    const actuals = []
+    const root = new Test('root', { maxConcurrency: 1 })
+    root.beforeAll(() => { actuals.push('beforeAll') })
+    root.afterAll(() => { actuals.push('afterAll') })
+    root.beforeEach(function () { actuals.push(`beforeEach ${this.name}`) })
+    root.afterEach(function () { actuals.push(`afterEach ${this.name}`) })
+    root.test('one', () => { actuals.push('one') })
+    root.test('two', () => { actuals.push('two') })
+    await root.runAll()
+    a.deepEqual(actuals, [
+      'beforeAll',
+      'beforeEach one', 'one', 'afterEach one',
+      'beforeEach two', 'two', 'afterEach two',
+      'afterAll'
+    ])
+  })
+
+  tom.test('hooks: inherited by nested groups, outer-most first', async function () {
+    const actuals = []
+    const root = new Test('root')
+    root.beforeEach(() => { actuals.push('outer before') })
+    root.afterEach(() => { actuals.push('outer after') })
+    const group = root.group('group')
+    group.beforeEach(() => { actuals.push('inner before') })
+    group.afterEach(() => { actuals.push('inner after') })
+    group.test('one', () => { actuals.push('one') })
+    await root.runAll()
+    a.deepEqual(actuals, ['outer before', 'inner before', 'one', 'inner after', 'outer after'])
+  })
+
+  tom.test('hooks: fixtures', async function () {
+    const actuals = []
+    const root = new Test('root')
+    root.beforeAll(async () => ({ db: 'db' }))
+    const group = root.group('group')
+    group.beforeAll(fixtures => ({ table: `${fixtures.db}.table` }))
+    group.beforeEach(function (fixtures) {
+      return { row: `${fixtures.table}.${this.name}` }
+    })
+    group.test('one', function () {
+      actuals.push(this.fixtures)
+    })
+    await root.runAll()
+    a.deepEqual(actuals, [{ db: 'db', table: 'db.table', row: 'db.table.one' }])
+  })
+
+  tom.test('hooks: beforeEach failure', async function () {
+    const actuals = []
+    const root = new Test('root')
+    root.beforeEach(() => { throw new Error('broken') })
+    const one = root.test('one', () => { actuals.push('one') })
+    root.on('hook-fail', (test, err) => actuals.push(['hook-fail', test.name, err.hook]))
+    await root.runAll()
+    a.deepEqual(actuals, [['hook-fail', 'one', 'beforeEach']])
+    a.equal(one.state, 'fail')
+    a.equal(one.result.name, 'HookError')
+    a.equal(one.result.cause.message, 'broken')
+  })
+
+  tom.test('hooks: afterEach failure fails a passing test', async function () {
+    const root = new Test('root')
+    root.afterEach(() => { throw new Error('broken') })
+    const one = root.test('one', () => 1)
+    await root.runAll()
+    a.equal(one.state, 'fail')
+    a.equal(one.result.hook, 'afterEach')
+  })
+
+  tom.test('hooks: beforeAll failure fails the tests beneath without running them', async function () {
+    const actuals = []
+    const root = new Test('root')
+    const group = root.group('group')
+    group.beforeAll(() => { throw new Error('broken') })
+    const one = group.test('one', () => { actuals.push('one') })
+    const nested = group.group('nested')
+    const two = nested.test('two', () => { actuals.push('two') })
+    const three = root.test('three', () => { actuals.push('three') })
+    await root.runAll()
+    a.deepEqual(actuals, ['three'])
+    a.equal(group.hookError.hook, 'beforeAll')
+    a.equal(one.result, group.hookError)
+    a.equal(two.result, group.hookError)
+    a.equal(three.state, 'pass')
+  })
+
+  tom.test('hooks: beforeAll and afterAll do not run if no test beneath will run', async function () {
+    const actuals = []
+    const root = new Test('root')
+    const skipped = root.group('skipped', { skip: true })
+    skipped.beforeAll(() => { actuals.push('skipped beforeAll') })
+    skipped.afterAll(() => { actuals.push('skipped afterAll') })
+    skipped.test('one', () => { actuals.push('one') })
+    const filtered = root.group('filtered')
+    filtered.beforeAll(() => { actuals.push('filtered beforeAll') })
+    filtered.afterAll(() => { actuals.push('filtered afterAll') })
+    filtered.test('two', () => { actuals.push('two') })
+    const selected = root.group('selected')
+    selected.beforeAll(() => { actuals.push('selected beforeAll') })
+    selected.test('three', () => { actuals.push('three') })
+    root.filter({ grep: 'three' })
+    await root.runAll()
+    a.deepEqual(actuals, ['selected beforeAll', 'three'])
+  })
+
+  tom.test('hooks: an afterAll failure is counted in the runAll() result', async function () {
+    const root = new Test('root')
+    const group = root.group('group')
+    group.afterAll(() => { throw new Error('broken') })
+    group.test('one', () => 1)
+    const summary = await root.runAll()
+    a.equal(summary.pass, 1)
+    a.equal(summary.hookFail, 1)
+    a.equal(group.hookError.hook, 'afterAll')
+  })
+
+  return tom
+}
+
+export default start()
@@ -0,0 +1,74 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import sleep from 'sleep-anywhere/index.mjs'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('effectiveOptions: inherited from the nearest parent', async function () {
+    const root = new Test('root', { timeout: 500, maxConcurrency: 2 })
+    const group = root.group('group', { timeout: 100 })
+    const one = group.test('one', () => 1)
+    const two = group.test('two', () => 2, { timeout: 50 })
+    const three = root.test('three', () => 3)
+    a.equal(one.effectiveOptions.timeout, 100)
+    a.equal(one.effectiveOptions.maxConcurrency, 2)
+    a.equal(two.effectiveOptions.timeout, 50)
+    a.equal(three.effectiveOptions.timeout, 500)
+    /* options keeps the defaults filled in for existing readers */
+    a.equal(one.options.timeout, 10000)
+    a.equal(one.options.maxConcurrency, 10)
+  })
+
+  tom.test('effectiveOptions: defaults', async function () {
+    const root = new Test('root')
+    const one = root.test('one', () => 1)
+    a.equal(one.effectiveOptions.timeout, 10000)
+    a.equal(one.effectiveOptions.maxConcurrency, 10)
+  })
+
+  tom.test('group timeout applies to children', async function () {
+    const root = new Test('root')
+    const group = root.group('group', { timeout: 20 })
+    const one = group.test('one', () => sleep(100))
+    await root.runAll()
+    a.equal(one.state, 'fail')
+    a.ok(/Timeout expired/.test(one.result.message))
+  })
+
+  tom.test('group maxConcurrency applies to nested groups', async function () {
+    let active = 0
+    let maxActive = 0
+    const root = new Test('root', { maxConcurrency: 1 })
+    const group = root.group('group')
+    for (let i = 0; i < 3; i++) {
+      group.test(`test ${i}`, async () => {
+        active++
+        maxActive = Math.max(maxActive, active)
+        await sleep(10)
+        active--
+      })
+    }
+    await root.runAll()
+    a.equal(maxActive, 1)
+  })
+
+  tom.test('skip and todo set on a group apply to children', async function () {
+    const root = new Test('root')
+    const skipped = root.group('skipped', { skip: true })
+    const one = skipped.test('one', () => 1)
+    const todo = root.group('todo', { todo: true })
+    const two = todo.test('two', () => 2)
+    a.equal(one.toSkip, true)
+    a.equal(two.type, 'todo')
+    await root.runAll()
+    a.equal(one.state, 'skipped')
+    a.equal(two.state, 'todo')
+  })
+
+  return tom
+}
+
+export default start()
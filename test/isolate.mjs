@@ -0,0 +1,106 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import fixture from './fixture/isolate.mjs'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  /* each test uses a different part of the fixture tree, tests run concurrently */
+  const [isolated, notIsolated, group, exits, hangs, leaks, returnsFunction, throwsFunction, dependencies] = fixture.children
+
+  tom.test('isolate: a test runs in a worker, result and stats mirrored', async function () {
+    const actuals = []
+    isolated.on('state', state => actuals.push(state))
+    const result = await isolated.run()
+    a.equal(result, false)
+    a.equal(isolated.state, 'pass')
+    a.equal(isolated.result, false)
+    a.ok(isolated.stats.duration >= 0)
+    a.ok(isolated.stats.end > 0)
+    a.deepEqual(actuals, ['in-progress', 'pass'])
+    a.equal(globalThis.isolateFixture, undefined)
+  })
+
+  tom.test('isolate: a group runs in a worker, events fire as normal', async function () {
+    const events = []
+    for (const eventName of ['pass', 'fail', 'slow']) {
+      group.on(eventName, test => events.push(`${eventName}:${test.name}`))
+    }
+    group.filter({ exclude: 'excluded' })
+    await group.runAll()
+    await notIsolated.run()
+    a.equal(notIsolated.result, true)
+    a.deepEqual(group.children.map(t => t.state), ['pass', 'fail', 'pass', 'pass', 'skipped'])
+    a.equal(group.children[0].result, false)
+    a.equal(group.children[1].result.message, 'broken')
+    a.ok(group.children[1].result instanceof Error)
+    a.equal(group.children[2].slow, true)
+    const child = group.children[3].children[0]
+    a.equal(child.name, 'child')
+    a.equal(child.result, false)
+    a.ok(events.includes('fail:two'))
+    a.ok(events.includes('slow:slow'))
+    a.ok(events.includes('pass:child'))
+    a.equal(group.summary.fail, 1)
+  })
+
+  tom.test('isolate: worker exiting early fails the test', async function () {
+    await exits.run().catch(() => {})
+    a.equal(exits.state, 'fail')
+    a.ok(exits.result instanceof Error)
+  })
+
+  tom.test('isolate: the worker is terminated once the run is complete', async function () {
+    const start = Date.now()
+    const result = await leaks.run()
+    a.equal(result, false)
+    a.equal(leaks.state, 'pass')
+    a.ok(Date.now() - start < 900)
+  })
+
+  tom.test('isolate: results and errors which cannot be cloned are mirrored without those values', async function () {
+    await returnsFunction.run()
+    a.equal(returnsFunction.state, 'pass')
+    a.deepEqual(returnsFunction.result, { value: 1 })
+    await throwsFunction.run().catch(() => {})
+    a.equal(throwsFunction.state, 'fail')
+    a.equal(throwsFunction.result.message, 'boom')
+    a.equal(throwsFunction.result.code, 'E_BOOM')
+    a.equal(throwsFunction.result.retry, undefined)
+  })
+
+  tom.test('isolate: dependencies resolved in the parent thread', async function () {
+    await dependencies.runAll()
+    const [dep, dependent, broken, blocked] = dependencies.children
+    a.equal(dep.state, 'pass')
+    a.equal(dependent.state, 'pass')
+    a.equal(dependent.result, false)
+    a.equal(broken.state, 'fail')
+    a.equal(blocked.state, 'skipped')
+    a.equal(blocked.skipReason, 'Dependency did not pass: broken')
+  })
+
+  tom.test('isolate: abort() terminates the worker', async function () {
+    const start = Date.now()
+    setTimeout(() => hangs.abort(), 300)
+    await hangs.run().catch(() => {})
+    a.equal(hangs.state, 'cancelled')
+    a.equal(hangs.result.name, 'AbortError')
+    a.ok(Date.now() - start < 4000)
+  })
+
+  tom.test('isolate: defining module detected, or set explicitly', async function () {
+    const test = new Test('one', () => 1, { isolate: true })
+    a.equal(test._moduleUrl, import.meta.url)
+    const root = new Test('root')
+    const child = root.test('two', () => 2, { isolate: 'file:///tests.mjs' })
+    a.equal(child._moduleUrl, 'file:///tests.mjs')
+    a.equal(root.test('three', () => 3, { isolate: true })._moduleUrl, import.meta.url)
+  })
+
+  return tom
+}
+
+export default start()
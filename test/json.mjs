@@ -0,0 +1,105 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('toJSON(): schema', async function () {
+    const root = new Test('root')
+    const group = root.group('group', { timeout: 100 })
+    group.test('one', () => 1)
+    group.skip('two', () => 2)
+    await root.runAll()
+    const json = JSON.parse(JSON.stringify(root))
+    a.equal(json.name, 'root')
+    a.equal(json.type, 'group')
+    a.equal(json.state, 'ignored')
+    a.equal(json.children[0].name, 'group')
+    a.equal(json.children[0].options.timeout, 100)
+    const one = json.children[0].children[0]
+    a.equal(one.name, 'one')
+    a.equal(one.index, 1)
+    a.equal(one.type, 'test')
+    a.equal(one.state, 'pass')
+    a.equal(one.result, 1)
+    a.ok(one.stats.duration >= 0)
+    a.equal(json.children[0].children[1].state, 'skipped')
+  })
+
+  tom.test('toJSON(): errors', async function () {
+    const test = new Test('one', function () {
+      const err = new Error('broken', { cause: new Error('root cause') })
+      err.code = 'E_BROKEN'
+      throw err
+    })
+    await test.run().catch(() => {})
+    const json = JSON.parse(JSON.stringify(test))
+    a.equal(json.error.message, 'broken')
+    a.equal(json.error.name, 'Error')
+    a.ok(/broken/.test(json.error.stack))
+    a.equal(json.error.props.code, 'E_BROKEN')
+    a.equal(json.result, undefined)
+  })
+
+  tom.test('toJSON(): circular cause', async function () {
+    const test = new Test('one', function () {
+      const err = new Error('broken')
+      err.cause = err
+      err.related = err
+      throw err
+    })
+    await test.run().catch(() => {})
+    const json = JSON.parse(JSON.stringify(test))
+    a.equal(json.error.message, 'broken')
+    a.deepEqual(json.error.cause, { value: '[Circular]' })
+    a.deepEqual(json.error.props.related, { value: '[Circular]' })
+    const copy = Test.fromJSON(json)
+    a.equal(copy.result.message, 'broken')
+    a.equal(copy.result.cause, '[Circular]')
+  })
+
+  tom.test('toJSON(): non-error throw', async function () {
+    const test = new Test('one', function () {
+      throw 'broken' // eslint-disable-line no-throw-literal
+    })
+    await test.run().catch(() => {})
+    const json = JSON.parse(JSON.stringify(test))
+    a.equal(json.error.name, 'NonError')
+    a.equal(json.error.message, 'broken')
+    a.equal(json.error.props.value, 'broken')
+  })
+
+  tom.test('fromJSON(): rebuilds a read-only tree', async function () {
+    const root = new Test('root')
+    const group = root.group('group')
+    group.test('one', () => 1)
+    group.test('two', () => {
+      const err = new Error('broken')
+      err.cause = new Error('root cause')
+      throw err
+    })
+    group.todo('three')
+    await root.runAll()
+    const copy = Test.fromJSON(JSON.stringify(root))
+    a.deepEqual(
+      Array.from(copy).map(t => [t.name, t.type, t.state, t.index]),
+      Array.from(root).map(t => [t.name, t.type, t.state, t.index])
+    )
+    const two = copy.children[0].children[1]
+    a.ok(two.result instanceof Error)
+    a.equal(two.result.message, 'broken')
+    a.equal(two.result.cause.message, 'root cause')
+    a.equal(two.ended, true)
+    a.equal(two.stats.duration, group.children[1].stats.duration)
+    a.equal(two.parent.name, 'group')
+    a.equal(copy.readOnly, true)
+    a.throws(() => copy.test('four', () => 4), /Read-only/)
+    await a.rejects(() => two.run(), /Read-only/)
+  })
+
+  return tom
+}
+
+export default start()
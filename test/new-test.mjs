@@ -11,6 +11,9 @@ async function start () {
     a.ok(test.name)
     a.equal(test.testFn, undefined)
     a.equal(test.options.timeout, 10000)
+    a.equal(test.options.maxConcurrency, 10)
+    a.equal(test.effectiveOptions.timeout, 10000)
+    a.equal(test.effectiveOptions.maxConcurrency, 10)
   })
 
   tom.test('new Test(name)', async function () {
@@ -18,6 +21,7 @@ async function start () {
     a.equal(test.name, 'name')
     a.equal(test.testFn, undefined)
     a.equal(test.options.timeout, 10000)
+    a.equal(test.effectiveOptions.timeout, 10000)
   })
 
   tom.test('new Test(name, testFn, options)', async function () {
@@ -0,0 +1,87 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import normaliseError from '../lib/normalise-error.mjs'
+import vm from 'vm'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('normaliseError: non-error throws wrapped', async function () {
+    for (const [value, message] of [['broken', 'broken'], [undefined, 'undefined'], [{ message: 'plain' }, 'plain'], [42, '42']]) {
+      const err = normaliseError(value)
+      a.ok(err instanceof Error)
+      a.equal(err.name, 'NonError')
+      a.equal(err.message, message)
+      a.equal(err.value, value)
+      a.equal(typeof err.stack, 'string')
+    }
+  })
+
+  tom.test('normaliseError: errors returned, cause chains and aggregate members normalised', async function () {
+    /* set directly, Node.js 14 has no `cause` option or `AggregateError` */
+    const err = new Error('outer')
+    err.cause = 'inner'
+    a.equal(normaliseError(err), err)
+    a.equal(err.cause.name, 'NonError')
+    a.equal(err.cause.message, 'inner')
+
+    const member = new Error('one')
+    const aggregate = new Error('many')
+    aggregate.name = 'AggregateError'
+    aggregate.errors = [member, 'two']
+    normaliseError(aggregate)
+    a.equal(aggregate.errors[0], member)
+    a.equal(aggregate.errors[1].name, 'NonError')
+
+    /* circular cause */
+    const circular = new Error('circular')
+    circular.cause = circular
+    a.equal(normaliseError(circular), circular)
+  })
+
+  tom.test('normaliseError: errors from other realms', async function () {
+    const err = vm.runInNewContext('new TypeError("other realm")')
+    a.ok(!(err instanceof Error))
+    a.equal(normaliseError(err), err)
+    a.equal(err.message, 'other realm')
+  })
+
+  tom.test('normaliseError: expected and actual copied from matcherResult', async function () {
+    const err = new Error('expect failed')
+    err.matcherResult = { expected: 1, actual: 2 }
+    normaliseError(err)
+    a.equal(err.expected, 1)
+    a.equal(err.actual, 2)
+  })
+
+  tom.test('normaliseError: package and internal frames removed from the stack', async function () {
+    const err = new Error('broken')
+    err.stack = [
+      'Error: broken',
+      '    at userCode (file:///project/test/one.mjs:1:1)',
+      `    at Tom._attempt (${new URL('../index.mjs', import.meta.url)}:1:1)`,
+      `    at Queue.process (${new URL('../lib/queue.mjs', import.meta.url).pathname}:1:1)`,
+      '    at runner (/project/node_modules/@test-runner/core/index.mjs:1:1)',
+      '    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)'
+    ].join('\n')
+    normaliseError(err)
+    a.equal(err.stack, 'Error: broken\n    at userCode (file:///project/test/one.mjs:1:1)')
+  })
+
+  tom.test('normaliseError: applied to test results', async function () {
+    const test = new Test('one', function () {
+      throw 'broken' // eslint-disable-line no-throw-literal
+    })
+    await test.run().catch(() => {})
+    a.ok(test.result instanceof Error)
+    a.equal(test.result.name, 'NonError')
+    a.equal(test.result.value, 'broken')
+    a.ok(!/index\.mjs/.test(test.result.stack))
+  })
+
+  return tom
+}
+
+export default start()
@@ -57,10 +57,72 @@ async function start () {
     const three = two.skip('three', () => 3)
     a.ok(!one.disabledByOnly)
     a.ok(one.options.only)
-    a.ok(two.disabledByOnly)
+    /* tests beneath an only test are enabled */
+    a.ok(!two.disabledByOnly)
     a.ok(!two.options.only)
-    a.ok(three.disabledByOnly)
+    a.ok(!three.disabledByOnly)
     a.ok(!three.options.only)
+    a.ok(three.toSkip)
+  })
+
+  tom.test('only group enables its subtree, parents of an only test stay enabled', async function () {
+    const tom = new Test('tom')
+    const one = tom.test('one', () => 1)
+    const group = tom.group('group', { only: true })
+    const two = group.test('two', () => 2)
+    const other = tom.group('other')
+    const three = other.test('three', () => 3)
+    const nested = other.group('nested')
+    const four = nested.only('four', () => 4)
+    a.ok(!tom.disabledByOnly)
+    a.ok(one.disabledByOnly)
+    a.ok(!group.disabledByOnly)
+    a.ok(!two.disabledByOnly)
+    a.ok(!other.disabledByOnly)
+    a.ok(three.disabledByOnly)
+    a.ok(!nested.disabledByOnly)
+    a.ok(!four.disabledByOnly)
+    await tom.runAll()
+    a.deepEqual([one, two, three, four].map(t => t.state), ['skipped', 'pass', 'skipped', 'pass'])
+  })
+
+  tom.test('onlyScope: global, an only test disables tests in other files', async function () {
+    const file1 = new Test('file1')
+    const one = file1.only('one', () => 1)
+    const file2 = new Test('file2')
+    const two = file2.test('two', () => 2)
+    Test.combine([file1, file2], 'root')
+    a.ok(!one.disabledByOnly)
+    a.ok(two.disabledByOnly)
+  })
+
+  tom.test('onlyScope: file, an only test only affects its own file', async function () {
+    const file1 = new Test('file1')
+    const one = file1.only('one', () => 1)
+    const two = file1.test('two', () => 2)
+    const file2 = new Test('file2')
+    const three = file2.test('three', () => 3)
+    const root = Test.combine([file1, file2], 'root', { onlyScope: 'file' })
+    a.ok(!one.disabledByOnly)
+    a.ok(two.disabledByOnly)
+    a.ok(!three.disabledByOnly)
+    const four = file2.test('four', () => 4)
+    a.ok(!four.disabledByOnly)
+    await root.runAll()
+    a.deepEqual([one, two, three, four].map(t => t.state), ['pass', 'skipped', 'pass', 'pass'])
+  })
+
+  tom.test('onlyScope: file, set on the file tree', async function () {
+    const file1 = new Test('file1', { onlyScope: 'file' })
+    const group = file1.group('group')
+    const one = group.only('one', () => 1)
+    const two = file1.test('two', () => 2)
+    const file2 = new Test('file2')
+    const three = file2.test('three', () => 3)
+    Test.combine([file1, file2], 'root')
+    a.ok(!one.disabledByOnly)
+    a.ok(two.disabledByOnly)
+    a.ok(!three.disabledByOnly)
   })
 
   return tom
@@ -0,0 +1,61 @@
+import Test from '../index.mjs'
+import TapReporter from '../lib/reporter-tap.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('tap: nested subtests, directives and diagnostics', async function () {
+    const lines = []
+    const root = new Test('root')
+    root.test('one', () => 1)
+    const group = root.group('group')
+    group.test('two # 2', () => {
+      throw new Error('broken')
+    })
+    group.skip('three', () => 3)
+    root.todo('four')
+    const reporter = new TapReporter(root, { write: line => lines.push(line) })
+    await root.runAll()
+    a.ok(reporter.ended)
+    const output = lines.filter(line => !/duration_ms|^\s+at /.test(line))
+    a.deepEqual(output, [
+      'TAP version 14',
+      'ok 1 - one',
+      '  ---',
+      '  result: 1',
+      '  ...',
+      '# Subtest: group',
+      '    not ok 1 - two \\# 2',
+      '      ---',
+      '      name: "Error"',
+      '      message: "broken"',
+      '      stack: |-',
+      '        Error: broken',
+      '      ...',
+      '    ok 2 - three # SKIP',
+      '    1..2',
+      'not ok 2 - group',
+      'not ok 3 - four # TODO',
+      '1..3'
+    ])
+    a.ok(lines.some(line => /^ {6}duration_ms: \d/.test(line)))
+  })
+
+  tom.test('tap: output follows tree order, not completion order', async function () {
+    const lines = []
+    const root = new Test('root')
+    root.test('slow', () => new Promise(resolve => setTimeout(resolve, 30)))
+    root.test('fast', () => undefined)
+    const reporter = new TapReporter(root, { write: line => lines.push(line) })
+    await root.runAll()
+    a.ok(reporter.ended)
+    a.deepEqual(lines.filter(line => /ok/.test(line)), ['ok 1 - slow', 'ok 2 - fast'])
+  })
+
+  return tom
+}
+
+export default start()
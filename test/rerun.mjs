@@ -0,0 +1,105 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('reset: restores the pre-run condition, keeping index', async function () {
+    const root = new Test('root')
+    root.test('one', () => 1)
+    const two = root.test('two', () => { throw new Error('broken') })
+    await root.runAll()
+    a.equal(two.state, 'fail')
+    a.equal(two.ended, true)
+    a.ok(two.context)
+    a.ok(two.stats.end > 0)
+    root.reset(true)
+    a.equal(two.state, 'pending')
+    a.equal(two.index, 2)
+    a.equal(two.ended, false)
+    a.equal(two.result, undefined)
+    a.equal(two.context, undefined)
+    a.equal(two.stats.start, 0)
+    a.equal(two.stats.end, 0)
+    a.equal(two.stats.duration, 0)
+    a.equal(root.summary.total, 0)
+    await root.runAll()
+    a.equal(two.state, 'fail')
+    a.equal(root.summary.fail, 1)
+  })
+
+  tom.test('reset: only re-evaluated', async function () {
+    const root = new Test('root')
+    const one = root.test('one', () => 1)
+    const two = root.test('two', () => 2)
+    a.equal(one.disabledByOnly, false)
+    two.options.only = true
+    root.reset(true)
+    a.equal(one.disabledByOnly, true)
+    a.equal(two.disabledByOnly, false)
+    two.options.only = false
+    root.reset(true)
+    a.equal(one.disabledByOnly, false)
+  })
+
+  tom.test('reset: a subtree, parent summaries updated', async function () {
+    const root = new Test('root')
+    const group = root.group('group')
+    group.test('one', () => 1)
+    root.test('two', () => 2)
+    await root.runAll()
+    a.equal(root.summary.pass, 2)
+    group.reset(true)
+    a.equal(root.summary.pass, 1)
+    a.equal(group.summary.pass, 0)
+  })
+
+  tom.test('rerun: only previously failed tests run again', async function () {
+    const actuals = []
+    let fixed = false
+    const root = new Test('root', { maxConcurrency: 1 })
+    const group = root.group('group')
+    group.beforeAll(() => actuals.push('beforeAll'))
+    const one = group.test('one', () => actuals.push('one'))
+    const two = group.test('two', () => {
+      actuals.push('two')
+      if (!fixed) throw new Error('broken')
+    })
+    const three = root.test('three', () => actuals.push('three'))
+    await root.runAll()
+    a.equal(two.state, 'fail')
+    a.deepEqual(actuals, ['beforeAll', 'one', 'two', 'three'])
+
+    fixed = true
+    actuals.length = 0
+    const result = await root.rerun()
+    a.deepEqual(actuals, ['beforeAll', 'two'])
+    a.equal(one.state, 'pass')
+    a.equal(two.state, 'pass')
+    a.equal(three.state, 'pass')
+    a.equal(result.pass, 3)
+    a.equal(root.summary.pass, 3)
+    a.equal(root.summary.fail, 0)
+  })
+
+  tom.test('rerun: custom filter, nothing selected', async function () {
+    const actuals = []
+    const root = new Test('root')
+    root.test('one', () => actuals.push('one'))
+    root.test('two', () => actuals.push('two'))
+    await root.runAll()
+    actuals.length = 0
+    let result = await root.rerun()
+    a.deepEqual(actuals, [])
+    a.equal(result.pass, 2)
+    result = await root.rerun(test => test.name === 'two')
+    a.deepEqual(actuals, ['two'])
+    a.equal(result.pass, 2)
+  })
+
+  return tom
+}
+
+export default start()
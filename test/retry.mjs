@@ -0,0 +1,65 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('retries: pass on second attempt is flaky', async function () {
+    const actuals = []
+    let count = 0
+    const test = new Test('one', function () {
+      if (++count === 1) throw new Error('broken')
+      return 'ok'
+    }, { retries: 2 })
+    test.on('retry', (t, err, attempt) => actuals.push(['retry', err.message, attempt]))
+    test.on('pass', () => actuals.push('pass'))
+    const result = await test.run()
+    a.equal(result, 'ok')
+    a.deepEqual(actuals, [['retry', 'broken', 2], 'pass'])
+    a.equal(test.state, 'pass')
+    a.equal(test.flaky, true)
+    a.equal(test.attempts.length, 2)
+    a.equal(test.attempts[0].error.message, 'broken')
+    a.equal(test.attempts[1].error, undefined)
+    a.ok(test.attempts.every(attempt => attempt.duration >= 0))
+  })
+
+  tom.test('retries: fails once retries are exhausted', async function () {
+    let count = 0
+    const test = new Test('one', async function () {
+      throw new Error(`broken ${++count}`)
+    }, { retries: 2 })
+    try {
+      await test.run()
+      throw new Error('should not reach here')
+    } catch (err) {
+      a.equal(err.message, 'broken 3')
+    }
+    a.equal(test.state, 'fail')
+    a.equal(test.flaky, false)
+    a.deepEqual(test.attempts.map(attempt => attempt.error.message), ['broken 1', 'broken 2', 'broken 3'])
+  })
+
+  tom.test('retries: passing first time is not flaky', async function () {
+    const test = new Test('one', () => 1, { retries: 2 })
+    await test.run()
+    a.equal(test.flaky, false)
+    a.equal(test.attempts.length, 1)
+  })
+
+  tom.test('retries: retryDelay backs off', async function () {
+    let count = 0
+    const test = new Test('one', function () {
+      if (++count < 3) throw new Error('broken')
+    }, { retries: 2, retryDelay: 20 })
+    const start = Date.now()
+    await test.run()
+    a.ok(Date.now() - start >= 55)
+  })
+
+  return tom
+}
+
+export default start()
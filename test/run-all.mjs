@@ -0,0 +1,67 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import sleep from 'sleep-anywhere/index.mjs'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('runAll(): runs every test in the tree', async function () {
+    const actuals = []
+    const root = new Test('root')
+    root.test('one', () => actuals.push('one'))
+    const group = root.group('group')
+    group.test('two', () => actuals.push('two'))
+    group.test('three', () => actuals.push('three'))
+    await root.runAll()
+    a.deepEqual(actuals, ['one', 'two', 'three'])
+  })
+
+  tom.test('runAll(): before and after order', async function () {
+    const actuals = []
+    const root = new Test('root')
+    root.after('after', () => actuals.push('after'))
+    root.test('one', async () => {
+      await sleep(20)
+      actuals.push('one')
+    })
+    root.before('before', async () => {
+      await sleep(20)
+      actuals.push('before')
+    })
+    root.test('two', () => actuals.push('two'))
+    await root.runAll()
+    a.deepEqual(actuals, ['before', 'two', 'one', 'after'])
+  })
+
+  tom.test('runAll(): maxConcurrency', async function () {
+    let active = 0
+    let maxActive = 0
+    const root = new Test('root', { maxConcurrency: 2 })
+    for (let i = 0; i < 5; i++) {
+      root.test(`test ${i}`, async () => {
+        active++
+        maxActive = Math.max(maxActive, active)
+        await sleep(20)
+        active--
+      })
+    }
+    await root.runAll()
+    a.equal(maxActive, 2)
+  })
+
+  tom.test('runAll(): failures do not reject, summary returned', async function () {
+    const root = new Test('root')
+    root.test('one', () => 1)
+    root.test('two', () => { throw new Error('broken') })
+    root.skip('three', () => 3)
+    root.todo('four')
+    const result = await root.runAll()
+    a.deepEqual(result, { pass: 1, fail: 1, failing: 0, skipped: 1, todo: 1, ignored: 1, cancelled: 0, hookFail: 0 })
+  })
+
+  return tom
+}
+
+export default start()
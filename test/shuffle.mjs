@@ -0,0 +1,78 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import TapReporter from '../lib/reporter-tap.mjs'
+
+function createTree (actuals) {
+  const root = new Test('root', { maxConcurrency: 1 })
+  root.before('setup', () => actuals.push('setup'))
+  for (const name of ['one', 'two', 'three', 'four', 'five', 'six']) {
+    root.test(name, function () {
+      actuals.push(`${this.name}:${this.index}`)
+    })
+  }
+  const group = root.group('group')
+  for (const name of ['a', 'b', 'c', 'd']) {
+    group.test(name, function () {
+      actuals.push(`${this.name}:${this.index}`)
+    })
+  }
+  root.after('teardown', () => actuals.push('teardown'))
+  return root
+}
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('shuffle: same seed, same order and index values', async function () {
+    const actuals1 = []
+    const root1 = createTree(actuals1)
+    a.equal(root1.shuffle(12345), 12345)
+    a.equal(root1.seed, 12345)
+    await root1.runAll()
+
+    const actuals2 = []
+    const root2 = createTree(actuals2)
+    root2.shuffle(12345)
+    await root2.runAll()
+
+    a.deepEqual(actuals1, actuals2)
+    a.deepEqual(root1.children.map(t => t.name), root2.children.map(t => t.name))
+    a.notDeepEqual(root1.children.map(t => t.name), ['setup', 'one', 'two', 'three', 'four', 'five', 'six', 'group', 'teardown'])
+  })
+
+  tom.test('shuffle: before and after tests keep their positions, index matches position', async function () {
+    const root = createTree([])
+    root.shuffle(1)
+    a.equal(root.children[0].name, 'setup')
+    a.equal(root.children[root.children.length - 1].name, 'teardown')
+    a.deepEqual(root.children.map(t => t.index), [1, 2, 3, 4, 5, 6, 7, 8, 9])
+  })
+
+  tom.test('shuffle: reshuffling with the same seed is repeatable', async function () {
+    const root = createTree([])
+    root.shuffle(99)
+    const order = Array.from(root).map(t => t.name)
+    root.shuffle(7)
+    root.shuffle(99)
+    a.deepEqual(Array.from(root).map(t => t.name), order)
+  })
+
+  tom.test('shuffle: random seed stored, reported and serialised', async function () {
+    const root = createTree([])
+    const seed = root.shuffle()
+    a.equal(typeof seed, 'number')
+    a.equal(root.seed, seed)
+    const lines = []
+    const reporter = new TapReporter(root, { write: line => lines.push(line) })
+    await root.runAll()
+    a.equal(reporter.ended, true)
+    a.deepEqual(lines.slice(0, 2), ['TAP version 14', `# Seed: ${seed}`])
+    a.equal(Test.fromJSON(JSON.stringify(root)).seed, seed)
+  })
+
+  return tom
+}
+
+export default start()
@@ -1,6 +1,7 @@
 import Test from '../index.mjs'
 import Tom from '@test-runner/tom'
 import getAssert from 'isomorphic-assert'
+import TapReporter from '../lib/reporter-tap.mjs'
 
 async function start () {
   const tom = new Tom()
@@ -74,6 +75,73 @@ async function start () {
     a.deepEqual(actuals, ['skipped'])
   })
 
+  tom.test('skip predicate: evaluated at run time, reason from return value', async function () {
+    let unsupported = false
+    const root = new Test('root', { skip: () => unsupported && 'Unsupported platform' })
+    const one = root.test('one', () => 1)
+    const two = root.test('two', () => 2, { skip: test => test.name === 'two' })
+    const three = root.test('three', () => 3, { skip: 'Not ready' })
+    const actuals = []
+    root.on('skipped', (test, reason) => actuals.push([test.name, reason]))
+    unsupported = true
+    await root.runAll()
+    a.equal(one.state, 'skipped')
+    a.equal(one.skipReason, 'Unsupported platform')
+    a.equal(two.state, 'skipped')
+    a.equal(two.skipReason, undefined)
+    a.equal(three.skipReason, 'Not ready')
+    a.deepEqual(actuals, [['one', 'Unsupported platform'], ['two', undefined], ['three', 'Not ready']])
+    unsupported = false
+    root.reset(true)
+    await root.runAll()
+    a.equal(one.state, 'pass')
+    a.equal(one.skipReason, undefined)
+  })
+
+  tom.test('skip predicate: throwing fails the test', async function () {
+    const test = new Test('one', () => 1, { skip: () => { throw new Error('broken') } })
+    await test.run().catch(() => {})
+    a.equal(test.state, 'fail')
+    a.equal(test.result.message, 'broken')
+  })
+
+  tom.test('this.skip(): stops the test, reason carried through events, JSON and TAP', async function () {
+    const actuals = []
+    const root = new Test('root')
+    root.afterEach(() => actuals.push('afterEach'))
+    const one = root.test('one', async function () {
+      actuals.push('start')
+      this.skip('No database')
+      actuals.push('unreachable')
+    }, { retries: 2 })
+    root.on('skipped', (test, reason) => actuals.push(`skipped: ${reason}`))
+    const lines = []
+    const reporter = new TapReporter(root, { write: line => lines.push(line) })
+    await root.runAll()
+    a.equal(reporter.ended, true)
+    a.equal(one.state, 'skipped')
+    a.equal(one.skipReason, 'No database')
+    a.equal(one.attempts.length, 1)
+    a.deepEqual(actuals, ['start', 'afterEach', 'skipped: No database'])
+    a.ok(lines.includes('ok 1 - one # SKIP No database'))
+    a.equal(root.summary.skipped, 1)
+    a.equal(root.summary.inProgress, 0)
+    const copy = Test.fromJSON(JSON.stringify(root))
+    a.equal(copy.children[0].state, 'skipped')
+    a.equal(copy.children[0].skipReason, 'No database')
+  })
+
+  tom.test('this.skip(): skipped even if the exception is caught', async function () {
+    const test = new Test('one', function () {
+      try {
+        this.skip()
+      } catch (err) {}
+    })
+    await test.run()
+    a.equal(test.state, 'skipped')
+    a.equal(test.skipReason, undefined)
+  })
+
   return tom
 }
 
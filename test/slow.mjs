@@ -0,0 +1,48 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import sleep from 'sleep-anywhere/index.mjs'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('slow: flagged without failing, event emitted', async function () {
+    const actuals = []
+    const test = new Test('one', () => sleep(40), { slow: 20 })
+    test.on('slow', (t, duration, threshold) => actuals.push([t.name, duration > 20, threshold]))
+    await test.run()
+    a.equal(test.state, 'pass')
+    a.equal(test.slow, true)
+    a.deepEqual(actuals, [['one', true, 20]])
+  })
+
+  tom.test('slow: inherited from groups, own option wins', async function () {
+    const root = new Test('root', { slow: 20 })
+    const group = root.group('group')
+    const one = group.test('one', () => sleep(40))
+    const two = group.test('two', () => 2)
+    const three = group.test('three', () => sleep(40), { slow: 100 })
+    await root.runAll()
+    a.equal(one.slow, true)
+    a.equal(two.slow, false)
+    a.equal(three.slow, false)
+  })
+
+  tom.test('slowest(): tests and groups', async function () {
+    const root = new Test('root')
+    const fast = root.group('fast')
+    fast.test('one', () => 1)
+    const slow = root.group('slow')
+    const two = slow.test('two', () => sleep(50))
+    const three = slow.test('three', () => sleep(20))
+    await root.runAll()
+    const report = root.slowest(2)
+    a.deepEqual(report.tests.map(t => t.name), [two.name, three.name])
+    a.deepEqual(report.groups.map(t => t.name), [slow.name, fast.name])
+  })
+
+  return tom
+}
+
+export default start()
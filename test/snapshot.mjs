@@ -0,0 +1,150 @@
+import Test from '../index.mjs'
+import SnapshotStore from '../lib/snapshot-store.mjs'
+import format from '../lib/format.mjs'
+import diff from '../lib/diff.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('format(): stable output', async function () {
+    const circular = { b: 2, a: [1, 'two'] }
+    circular.self = circular
+    a.equal(format(circular), '{\n  "a": [\n    1,\n    "two",\n  ],\n  "b": 2,\n  "self": [Circular],\n}')
+    a.equal(format(new Map([['key', new Set([1])]])), 'Map {\n  "key" => Set {\n    1,\n  },\n}')
+    a.equal(format({ b: 1, a: undefined }), format({ a: undefined, b: 1 }))
+  })
+
+  tom.test('snapshot(): records then matches', async function () {
+    const store = new SnapshotStore()
+    const root = new Test('root')
+    root.snapshotStore = store
+    const group = root.group('group')
+    group.test('one', function () {
+      this.snapshot({ a: 1 })
+      this.snapshot([1, 2], 'list')
+    })
+    await root.runAll()
+    a.equal(group.children[0].state, 'pass')
+    a.deepEqual(Object.keys(store.snapshots), ['root > group > one 1', 'root > group > one: list 1'])
+    a.equal(store.stats.added, 2)
+
+    root.reset(true)
+    await root.runAll()
+    a.equal(group.children[0].state, 'pass')
+    a.equal(store.stats.matched, 2)
+  })
+
+  tom.test('snapshot(): mismatch fails with a diff', async function () {
+    const store = new SnapshotStore()
+    store.snapshots['root > one 1'] = format({ a: 1, b: 2 })
+    const root = new Test('root')
+    root.snapshotStore = store
+    const one = root.test('one', function () {
+      this.snapshot({ a: 1, b: 3 })
+    })
+    await root.runAll()
+    a.equal(one.state, 'fail')
+    a.equal(one.result.name, 'SnapshotError')
+    a.equal(one.result.diff, '  {\n    "a": 1,\n-   "b": 2,\n+   "b": 3,\n  }')
+    a.ok(one.result.message.includes('- Snapshot\n+ Received'))
+  })
+
+  tom.test('snapshot(): update mode and pruning obsolete snapshots', async function () {
+    const store = new SnapshotStore(undefined, { update: true, prune: true })
+    store.snapshots['root > one 1'] = format('old')
+    store.snapshots['root > removed 1'] = format('gone')
+    const root = new Test('root')
+    root.snapshotStore = store
+    const one = root.test('one', function () {
+      this.snapshot('new')
+    })
+    await root.runAll()
+    a.equal(one.state, 'pass')
+    a.equal(store.stats.updated, 1)
+    a.deepEqual(store.obsolete(), ['root > removed 1'])
+    await store.save()
+    a.deepEqual(store.snapshots, { 'root > one 1': '"new"' })
+  })
+
+  tom.test('snapshot(): update mode keeps the snapshots of tests which did not run', async function () {
+    const store = new SnapshotStore(undefined, { update: true })
+    store.snapshots['root > a 1'] = format('old')
+    store.snapshots['root > b 1'] = format('b')
+    const root = new Test('root')
+    root.snapshotStore = store
+    root.test('a', function () { this.snapshot('new') })
+    root.test('b', function () { this.snapshot('b') })
+    root.filter({ grep: 'a' })
+    await root.runAll()
+    a.deepEqual(store.obsolete(), ['root > b 1'])
+    await store.save()
+    a.deepEqual(store.snapshots, { 'root > a 1': '"new"', 'root > b 1': '"b"' })
+  })
+
+  tom.test('snapshot(): keys unchanged when the tree is combined', async function () {
+    const store = new SnapshotStore(undefined, { update: true, prune: true })
+    const createFile = name => {
+      const file = new Test(name)
+      file.snapshotStore = store
+      file.group('parser').test('renders', function () { this.snapshot(name) })
+      return file
+    }
+    const fileA = createFile('file-a')
+    await fileA.runAll()
+    a.deepEqual(Object.keys(store.snapshots), ['file-a > parser > renders 1'])
+
+    await store.load()
+    const root = Test.combine([createFile('file-a'), createFile('file-b')], 'root')
+    await root.runAll()
+    a.equal(root.summary.fail, 0)
+    a.equal(store.stats.matched, 1)
+    a.equal(store.stats.added, 1)
+    a.deepEqual(store.obsolete(), [])
+    await store.save()
+    a.deepEqual(Object.keys(store.snapshots).sort(), ['file-a > parser > renders 1', 'file-b > parser > renders 1'])
+  })
+
+  tom.test('diff(): common lines trimmed, large changes listed without a full comparison', async function () {
+    const expected = Array.from({ length: 2000 }, (v, i) => `line ${i}`)
+    const actual = expected.map(line => line + '!')
+    const changes = diff(['start', ...expected, 'end'].join('\n'), ['start', ...actual, 'end'].join('\n')).split('\n')
+    a.equal(changes.length, 4002)
+    a.equal(changes[0], '  start')
+    a.equal(changes[1], '- line 0')
+    a.equal(changes[2001], '+ line 0!')
+    a.equal(changes[4001], '  end')
+    a.equal(diff('a\nb\nc', 'a\nx\nc'), '  a\n- b\n+ x\n  c')
+  })
+
+  tom.test('snapshot(): no store', async function () {
+    const one = new Test('one', function () {
+      this.snapshot(1)
+    })
+    await a.rejects(() => one.run(), /No snapshot store/)
+  })
+
+  tom.test('SnapshotStore: load and save', async function () {
+    const os = await import('os')
+    const path = await import('path')
+    const fs = await import('fs')
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tom-'))
+    const file = path.join(dir, 'snapshots.json')
+    const store = new SnapshotStore(file)
+    await store.load()
+    store.match('b 1', 2)
+    store.match('a 1', 1)
+    await store.save()
+    a.equal(await fs.promises.readFile(file, 'utf8'), '{\n  "a 1": "1",\n  "b 1": "2"\n}\n')
+    const store2 = new SnapshotStore(file)
+    await store2.load()
+    a.throws(() => store2.match('a 1', 3), /Snapshot mismatch: a 1/)
+    await fs.promises.rm(dir, { recursive: true })
+  })
+
+  return tom
+}
+
+export default start()
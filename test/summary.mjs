@@ -0,0 +1,76 @@
+import Test from '../index.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+import sleep from 'sleep-anywhere/index.mjs'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('summary: counts per state', async function () {
+    const root = new Test('root')
+    const group = root.group('group')
+    group.test('one', () => 1)
+    group.test('two', () => { throw new Error('broken') })
+    group.skip('three', () => 3)
+    root.todo('four')
+    await root.runAll()
+    a.equal(group.summary.pass, 1)
+    a.equal(group.summary.fail, 1)
+    a.equal(group.summary.skipped, 1)
+    a.equal(group.summary.todo, 0)
+    a.equal(group.summary.total, 3)
+    a.equal(root.summary.pass, 1)
+    a.equal(root.summary.todo, 1)
+    a.equal(root.summary.ignored, 1)
+    a.equal(root.summary.inProgress, 0)
+  })
+
+  tom.test('summary: live updates', async function () {
+    const actuals = []
+    const root = new Test('root')
+    root.test('one', async () => {
+      actuals.push(root.summary.inProgress)
+      await sleep(10)
+    })
+    root.on('pass', () => actuals.push(root.summary.pass))
+    await root.runAll()
+    a.deepEqual(actuals, [1, 1])
+  })
+
+  tom.test('summary: durations', async function () {
+    const root = new Test('root')
+    root.test('one', () => sleep(20))
+    const two = root.test('two', () => sleep(50))
+    await root.runAll()
+    a.equal(root.summary.slowest, two)
+    a.ok(root.summary.duration >= 65)
+    a.ok(root.summary.span >= 45)
+    a.ok(root.summary.span < root.summary.duration)
+  })
+
+  tom.test('summary: reset', async function () {
+    const root = new Test('root')
+    root.test('one', () => 1)
+    await root.runAll()
+    a.equal(root.summary.pass, 1)
+    root.reset(true)
+    a.equal(root.summary.pass, 0)
+  })
+
+  tom.test('summary: rebuilt by fromJSON()', async function () {
+    const root = new Test('root')
+    const group = root.group('group')
+    group.test('one', () => 1)
+    group.test('two', () => { throw new Error('broken') })
+    await root.runAll()
+    const copy = Test.fromJSON(JSON.stringify(root))
+    a.equal(copy.summary.pass, 1)
+    a.equal(copy.summary.fail, 1)
+    a.equal(copy.children[0].summary.total, 2)
+  })
+
+  return tom
+}
+
+export default start()
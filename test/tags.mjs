@@ -0,0 +1,68 @@
+import Test from '../index.mjs'
+import TapReporter from '../lib/reporter-tap.mjs'
+import exportJUnit from '../lib/export-junit.mjs'
+import Tom from '@test-runner/tom'
+import getAssert from 'isomorphic-assert'
+
+async function start () {
+  const tom = new Tom()
+  const a = await getAssert()
+
+  tom.test('tags: own and inherited', async function () {
+    const root = new Test('root')
+    const group = root.group('group', { tags: ['integration'] })
+    const one = group.test('one', () => 1, { tags: ['slow', 'integration'] })
+    const two = root.test('two', () => 2)
+    a.deepEqual(group.tags, ['integration'])
+    a.deepEqual(one.tags, ['integration', 'slow'])
+    a.deepEqual(two.tags, [])
+  })
+
+  tom.test('tags: include and exclude subtrees', async function () {
+    const root = new Test('root')
+    const group = root.group('group', { tags: ['browser-only'] })
+    group.test('one', () => 1)
+    root.test('two', () => 2, { tags: ['slow'] })
+    root.test('three', () => 3)
+    const enabled = () => Array.from(root).filter(t => !t.disabledByFilter).map(t => t.name)
+    root.filter({ excludeTags: ['browser-only'] })
+    a.deepEqual(enabled(), ['root', 'two', 'three'])
+    root.filter({ tags: ['browser-only'] })
+    a.deepEqual(enabled(), ['root', 'group', 'one'])
+    root.filter({ tags: ['slow', 'browser-only'], excludeTags: ['slow'] })
+    a.deepEqual(enabled(), ['root', 'group', 'one'])
+  })
+
+  tom.test('tags: available on the test passed to events', async function () {
+    const actuals = []
+    const root = new Test('root', { tags: ['unit'] })
+    root.test('one', () => 1, { tags: ['fast'] })
+    root.on('pass', test => actuals.push(test.tags))
+    await root.runAll()
+    a.deepEqual(actuals, [['unit', 'fast']])
+  })
+
+  tom.test('tags: serialised output', async function () {
+    const lines = []
+    const root = new Test('root', { tags: ['unit'] })
+    root.test('one', () => undefined, { tags: ['fast'] })
+    const reporter = new TapReporter(root, { write: line => lines.push(line) })
+    await root.runAll()
+    a.ok(reporter.ended)
+    a.ok(lines.includes('  tags: ["unit","fast"]'))
+    a.deepEqual(root.toJSON().children[0].tags, ['unit', 'fast'])
+    const xml = exportJUnit(root, { timings: false })
+    a.ok(xml.includes([
+      '    <testcase name="one" classname="root">',
+      '      <properties>',
+      '        <property name="tag" value="unit"/>',
+      '        <property name="tag" value="fast"/>',
+      '      </properties>',
+      '    </testcase>'
+    ].join('\n')))
+  })
+
+  return tom
+}
+
+export default start()